@@ -1,41 +1,28 @@
 import express from 'express';
 import channelsRoutes from './routes/channels.routes.js';
 import messagesRoutes from './routes/messages.routes.js';
+import jobsRoutes from './routes/jobs.routes.js';
+import campaignsRoutes from './routes/campaigns.routes.js';
+import scheduledRoutes from './routes/scheduled.routes.js';
+import keysRoutes from './routes/keys.routes.js';
+import scanRoutes from './routes/scan.routes.js';
+import eventsRoutes from './routes/events.routes.js';
+import mediaRoutes from './routes/media.routes.js';
+import docsRoutes from './routes/docs.routes.js';
+import { authenticate } from './middlewares/auth.middleware.js';
 import { logger } from './utils/logger.js';
 
 const app = express();
 
-const API_KEY = process.env.API_KEY || 'q3UydSOJTNCQXxF6MtyjGFRr';
-
 app.use(express.json({ limit: '50mb' }));
 
-app.use((req, res, next) => {
-    const publicRoutes = ['/', '/health'];
-    if (publicRoutes.includes(req.path)) {
-        return next();
-    }
+// Página de conexão: pública, protegida pelo token assinado do link
+app.use('/scan', scanRoutes);
 
-    const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-
-    if (!apiKey) {
-        return res.status(401).json({
-            success: false,
-            error: 'UNAUTHORIZED',
-            message: 'API Key não fornecida. Use o header x-api-key ou Authorization: Bearer <key>'
-        });
-    }
+// Especificação OpenAPI e documentação interativa: públicas
+app.use(docsRoutes);
 
-    if (apiKey !== API_KEY) {
-        logger.warn(`Tentativa de acesso com API Key inválida: ${apiKey.substring(0, 10)}...`);
-        return res.status(401).json({
-            success: false,
-            error: 'UNAUTHORIZED',
-            message: 'API Key inválida'
-        });
-    }
-
-    next();
-});
+app.use(authenticate);
 
 app.use((req, res, next) => {
     const start = Date.now();
@@ -55,6 +42,12 @@ app.use((req, res, next) => {
 
 app.use('/channels', channelsRoutes);
 app.use('/messages', messagesRoutes);
+app.use('/jobs', jobsRoutes);
+app.use('/campaigns', campaignsRoutes);
+app.use('/scheduled', scheduledRoutes);
+app.use('/keys', keysRoutes);
+app.use('/events', eventsRoutes);
+app.use('/media', mediaRoutes);
 
 app.get('/', (req, res) => {
     res.json({
@@ -69,18 +62,76 @@ app.get('/', (req, res) => {
                     list: 'GET /channels',
                     status: 'GET /channels/:channelId/status',
                     details: 'GET /channels/:channelId',
-                    qrcode: 'POST /channels/:channelId/qrcode',
+                    update: 'PATCH /channels/:channelId',
+                    qrcode: 'GET|POST /channels/:channelId/qrcode',
+                    scanLink: 'POST /channels/:channelId/scan-link',
+                    pairingCode: 'POST /channels/:channelId/pairing-code',
+                    webhook: 'GET|PUT|DELETE /channels/:channelId/webhook',
+                    groups: 'GET|POST /channels/:channelId/groups',
+                    group: 'GET|PATCH /channels/:channelId/groups/:groupId',
+                    groupParticipants: 'GET /channels/:channelId/groups/:groupId/participants',
+                    groupParticipantsUpdate: 'POST /channels/:channelId/groups/:groupId/participants/:action',
+                    groupInvite: 'GET /channels/:channelId/groups/:groupId/invite',
+                    groupInviteRevoke: 'POST /channels/:channelId/groups/:groupId/invite/revoke',
+                    messages: 'GET /channels/:channelId/messages',
+                    chatMessages: 'GET /channels/:channelId/chats/:jid/messages',
                     disconnect: 'DELETE /channels/:channelId'
                 },
                 messages: {
+                    send: 'POST /messages (type: text, image, document, location, contact, poll, reaction)',
                     text: 'POST /messages/text',
                     document: 'POST /messages/document',
+                    location: 'POST /messages/location',
+                    contact: 'POST /messages/contact',
+                    poll: 'POST /messages/poll',
+                    reaction: 'POST /messages/reaction',
                     checkNumber: 'POST /messages/check-number',
+                    checkNumbers: 'POST /messages/check-numbers',
+                    checkNumbersCache: 'GET|DELETE /messages/check-numbers/cache',
+                    status: 'GET /messages/:messageId/status',
+                    edit: 'PATCH /messages/:messageId',
+                    revoke: 'DELETE /messages/:messageId',
                     supportedTypes: 'GET /messages/supported-types',
                     health: 'GET /messages/health'
+                },
+                jobs: {
+                    list: 'GET /jobs',
+                    details: 'GET /jobs/:jobId',
+                    cancel: 'DELETE /jobs/:jobId'
+                },
+                campaigns: {
+                    create: 'POST /campaigns',
+                    list: 'GET /campaigns',
+                    details: 'GET /campaigns/:campaignId',
+                    recipients: 'GET /campaigns/:campaignId/recipients',
+                    pause: 'POST /campaigns/:campaignId/pause',
+                    resume: 'POST /campaigns/:campaignId/resume',
+                    cancel: 'POST /campaigns/:campaignId/cancel'
+                },
+                scheduled: {
+                    list: 'GET /scheduled',
+                    details: 'GET /scheduled/:scheduledId',
+                    cancel: 'DELETE /scheduled/:scheduledId'
+                },
+                media: {
+                    download: 'GET /media/:mediaId'
+                },
+                events: {
+                    stream: 'GET /events (Server-Sent Events)',
+                    ticket: 'POST /events/ticket',
+                    websocket: 'WS /events/ws'
+                },
+                keys: {
+                    create: 'POST /keys',
+                    list: 'GET /keys',
+                    details: 'GET /keys/:keyId',
+                    rotate: 'POST /keys/:keyId/rotate',
+                    revoke: 'DELETE /keys/:keyId'
                 }
             },
             documentation: 'https://github.com/seu-usuario/mga-whatsapp-api#readme',
+            openapi: 'GET /openapi.json',
+            docs: 'GET /docs',
             timestamp: new Date().toISOString()
         }
     });
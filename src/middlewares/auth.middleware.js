@@ -0,0 +1,93 @@
+import apiKeyService from '../services/api-key.service.js';
+import { logger } from '../utils/logger.js';
+
+const PUBLIC_ROUTES = ['/', '/health'];
+
+export function getRequestApiKey(req) {
+    return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+export function canAccessChannel(apiKey, channelId) {
+    return apiKey.channels.includes('*') || apiKey.channels.includes(channelId);
+}
+
+export function hasPermission(apiKey, permission) {
+    return apiKey.permissions.includes('admin') || apiKey.permissions.includes(permission);
+}
+
+export function denyChannelAccess(res, channelId) {
+    return res.status(403).json({
+        success: false,
+        error: 'CHANNEL_ACCESS_DENIED',
+        message: `API Key sem acesso ao canal ${channelId}`
+    });
+}
+
+/**
+ * Identifica a API Key da requisição e a disponibiliza em req.apiKey
+ */
+export function authenticate(req, res, next) {
+    if (PUBLIC_ROUTES.includes(req.path)) {
+        return next();
+    }
+
+    const rawKey = getRequestApiKey(req);
+
+    if (!rawKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'UNAUTHORIZED',
+            message: 'API Key não fornecida. Use o header x-api-key ou Authorization: Bearer <key>'
+        });
+    }
+
+    const apiKey = apiKeyService.authenticate(rawKey);
+    if (!apiKey) {
+        logger.warn(`Tentativa de acesso com API Key inválida: ${rawKey.substring(0, 10)}...`);
+        return res.status(401).json({
+            success: false,
+            error: 'UNAUTHORIZED',
+            message: 'API Key inválida'
+        });
+    }
+
+    req.apiKey = apiKey;
+    next();
+}
+
+/**
+ * Exige uma das permissões informadas e, se a requisição cita um canal
+ * (params, body ou query), que a chave tenha acesso a ele
+ */
+export function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (!permissions.some(permission => hasPermission(req.apiKey, permission))) {
+            return res.status(403).json({
+                success: false,
+                error: 'INSUFFICIENT_PERMISSION',
+                message: `API Key sem permissão para esta operação (requer: ${permissions.join(' ou ')})`
+            });
+        }
+
+        const channelId = req.params.channelId || req.body?.channelId || req.query.channelId;
+        if (channelId && !canAccessChannel(req.apiKey, channelId)) {
+            return denyChannelAccess(res, channelId);
+        }
+
+        next();
+    };
+}
+
+/**
+ * Administração global (ex: gestão de API Keys): permissão admin em todos os canais
+ */
+export function requireGlobalAdmin(req, res, next) {
+    if (!hasPermission(req.apiKey, 'admin') || !req.apiKey.channels.includes('*')) {
+        return res.status(403).json({
+            success: false,
+            error: 'INSUFFICIENT_PERMISSION',
+            message: 'Requer API Key administradora com acesso a todos os canais'
+        });
+    }
+    next();
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import idempotencyService from '../services/idempotency.service.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_KEY_LENGTH = 255;
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Identifica a requisição: método, rota, query, corpo e conteúdo do arquivo enviado (multipart)
+ */
+async function fingerprint(req) {
+    const upload = req.upload
+        ? { fileName: req.upload.fileName, hash: await hashFile(req.upload.path) }
+        : null;
+
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({
+            method: req.method,
+            path: req.baseUrl + req.path,
+            query: req.query,
+            body: req.body,
+            upload
+        }))
+        .digest('hex');
+}
+
+function replay(res, response) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(response.statusCode).json(response.body);
+}
+
+// Erros temporários: não são gravados, para que uma nova tentativa seja processada de novo
+function isTransient(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Header Idempotency-Key: a primeira resposta (sucesso ou erro definitivo) fica gravada por
+ * IDEMPOTENCY_TTL_HOURS e é repetida, com o header Idempotent-Replayed, para requisições com a
+ * mesma chave. Uma repetição que chega durante o envio original aguarda o resultado dele, mesmo
+ * que o cliente original tenha desconectado. 429 e 5xx não são gravados. A chave vale por API Key;
+ * reusá-la com outra requisição retorna 409.
+ * Usar depois de acceptUpload e requirePermission. Sem o header, a requisição passa direto.
+ */
+export async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_IDEMPOTENCY_KEY',
+            message: `Idempotency-Key deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres`
+        });
+    }
+
+    const scope = `${req.apiKey.id}:${key}`;
+
+    try {
+        const result = idempotencyService.begin(scope, await fingerprint(req));
+
+        if (result.status === 'conflict') {
+            return res.status(409).json({
+                success: false,
+                error: 'IDEMPOTENCY_KEY_REUSED',
+                message: 'Idempotency-Key já usada com outra requisição'
+            });
+        }
+
+        if (result.status === 'completed') {
+            return replay(res, result.response);
+        }
+
+        if (result.status === 'in_flight') {
+            const response = await result.promise;
+            if (!response) {
+                // Original terminou sem resposta JSON (erro do handler): processa esta no lugar dela
+                return idempotent(req, res, next);
+            }
+            return replay(res, response);
+        }
+    } catch (error) {
+        logger.error('Erro ao verificar Idempotency-Key:', error);
+        return next(error);
+    }
+
+    // A resposta é registrada quando o handler responde, mesmo com o socket já fechado: a chave
+    // fica em andamento até lá, e um retry do cliente aguarda em vez de enviar de novo
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const response = { statusCode: res.statusCode, body };
+        if (isTransient(response.statusCode)) {
+            idempotencyService.release(scope, response);
+        } else {
+            idempotencyService.complete(scope, response);
+        }
+        return json(body);
+    };
+    res.on('finish', () => idempotencyService.release(scope));
+
+    next();
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import multer from 'multer';
+import whatsappService from '../services/whatsapp.service.js';
+import { UPLOAD_DIR, removeUpload } from '../utils/uploads.js';
+
+const MB = 1024 * 1024;
+
+// Tamanho máximo por categoria (getMediaType), em MB
+export const UPLOAD_LIMITS_MB = {
+    image: parseFloat(process.env.UPLOAD_MAX_IMAGE_MB) || 16,
+    video: parseFloat(process.env.UPLOAD_MAX_VIDEO_MB) || 64,
+    audio: parseFloat(process.env.UPLOAD_MAX_AUDIO_MB) || 16,
+    document: parseFloat(process.env.UPLOAD_MAX_DOCUMENT_MB) || 100
+};
+
+// Gravado direto em disco, sem manter o arquivo em memória
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: {
+        files: 1,
+        fileSize: Math.max(...Object.values(UPLOAD_LIMITS_MB)) * MB
+    }
+}).single('file');
+
+function sendUploadError(res, status, error, message) {
+    return res.status(status).json({
+        success: false,
+        error,
+        message
+    });
+}
+
+/**
+ * Aceita o arquivo no campo "file" quando a requisição é multipart/form-data e o disponibiliza em
+ * req.upload = { path, fileName, mimetype, size, mediaType }. O tipo é detectado pela extensão.
+ * O arquivo é apagado ao fim da resposta, a menos que o envio tenha ido para a fila (keepUpload).
+ * Requisições JSON passam direto.
+ */
+export function acceptUpload(req, res, next) {
+    if (!req.is('multipart/form-data')) {
+        return next();
+    }
+
+    upload(req, res, (error) => {
+        if (error) {
+            removeUpload(req.file);
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return sendUploadError(res, 413, 'FILE_TOO_LARGE', 'Arquivo maior que o limite permitido');
+            }
+            return sendUploadError(res, 400, 'INVALID_UPLOAD', `Upload inválido: ${error.message}`);
+        }
+
+        // Campos de formulário chegam como texto
+        for (const [key, value] of Object.entries(req.body)) {
+            if (value === 'true' || value === 'false') {
+                req.body[key] = value === 'true';
+            }
+        }
+
+        if (!req.file) {
+            return next();
+        }
+
+        const extension = path.extname(req.file.originalname).toLowerCase();
+        const mediaType = whatsappService.getMediaType(extension);
+
+        if (req.file.size > UPLOAD_LIMITS_MB[mediaType] * MB) {
+            removeUpload(req.file);
+            return sendUploadError(res, 413, 'FILE_TOO_LARGE', `Arquivos do tipo ${mediaType} podem ter até ${UPLOAD_LIMITS_MB[mediaType]} MB`);
+        }
+
+        // Extensão desconhecida: usa o Content-Type informado pelo cliente
+        const mimetype = whatsappService.getMimeType(extension);
+
+        req.upload = {
+            path: req.file.path,
+            fileName: req.file.originalname,
+            mimetype: mimetype === 'application/octet-stream' ? req.file.mimetype || mimetype : mimetype,
+            size: req.file.size,
+            mediaType
+        };
+
+        res.on('close', () => {
+            if (!req.keepUpload) {
+                removeUpload(req.upload);
+            }
+        });
+
+        next();
+    });
+}
+
+/**
+ * Mantém o arquivo após a resposta: envio agendado ou na fila, removido quando o job termina
+ */
+export function keepUpload(req) {
+    req.keepUpload = true;
+}
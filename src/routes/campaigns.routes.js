@@ -0,0 +1,252 @@
+import express from 'express';
+import campaignService from '../services/campaign.service.js';
+import sessionManager from '../sessions/manager.js';
+import { parseCsv, NUMBER_COLUMNS } from '../utils/csv.js';
+import { requirePermission, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// A coluna do número (NUMBER_COLUMNS) vira o destinatário; as demais viram variáveis
+function recipientsFromCsv(csv) {
+    return parseCsv(csv).map(row => {
+        const numberColumn = Object.keys(row).find(key => NUMBER_COLUMNS.includes(key.toLowerCase()));
+        const { [numberColumn]: to, ...variables } = row;
+        return { to, variables };
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Tipos dos campos de POST /campaigns; retorna [error, message] do primeiro campo inválido, ou null
+ */
+function validateCampaignInput({ message, recipients, csv, throttle, scheduledAt }) {
+    if (!isPlainObject(message)) {
+        return ['INVALID_MESSAGE', 'message deve ser um objeto'];
+    }
+    if (recipients !== undefined && (!Array.isArray(recipients) || recipients.some(recipient =>
+        typeof recipient !== 'string' &&
+        !(isPlainObject(recipient) && (recipient.variables === undefined || isPlainObject(recipient.variables)))))) {
+        return ['INVALID_RECIPIENTS', 'recipients deve ser uma lista de números ou de objetos { to, variables }'];
+    }
+    if (csv !== undefined && typeof csv !== 'string') {
+        return ['INVALID_CSV', 'csv deve ser o conteúdo do arquivo CSV em texto'];
+    }
+    if (throttle !== undefined && !isPlainObject(throttle)) {
+        return ['INVALID_THROTTLE', 'throttle deve ser um objeto { delayMs, jitterMs, pauseEvery, pauseMs }'];
+    }
+    if (scheduledAt !== undefined && scheduledAt !== null && typeof scheduledAt !== 'string') {
+        return ['INVALID_SCHEDULE', 'scheduledAt deve ser uma data ISO 8601'];
+    }
+    return null;
+}
+
+function sendCampaignError(res, error) {
+    const errors = {
+        CAMPAIGN_NOT_FOUND: [404, 'Campanha não encontrada'],
+        INVALID_CAMPAIGN_STATE: [409, 'Operação não permitida no status atual da campanha'],
+        INVALID_MESSAGE: [400, 'message inválida: informe type (text, image ou document) e os campos correspondentes'],
+        NO_RECIPIENTS: [400, 'Informe recipients ou csv com pelo menos um destinatário'],
+        INVALID_SCHEDULE: [400, 'scheduledAt deve ser uma data ISO 8601']
+    };
+
+    if (errors[error.message]) {
+        const [status, message] = errors[error.message];
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            message
+        });
+    }
+
+    logger.error('Erro na operação de campanha:', error);
+    res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message
+    });
+}
+
+// Campanhas de canais fora do escopo da API Key não podem ser consultadas nem alteradas
+router.param('campaignId', (req, res, next, campaignId) => {
+    const campaign = campaignService.getCampaign(campaignId);
+    if (campaign && !canAccessChannel(req.apiKey, campaign.channelId)) {
+        return denyChannelAccess(res, campaign.channelId);
+    }
+    next();
+});
+
+/**
+ * POST /campaigns
+ * Criar campanha de envio em massa
+ */
+router.post('/', requirePermission('send'), (req, res) => {
+    try {
+        const { channelId, name, message, recipients, csv, throttle, scheduledAt } = req.body;
+
+        if (!channelId || !message || (!recipients && !csv)) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_REQUIRED_FIELDS',
+                message: 'channelId, message e recipients (ou csv) são obrigatórios'
+            });
+        }
+
+        const invalid = validateCampaignInput(req.body);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: invalid[0],
+                message: invalid[1]
+            });
+        }
+
+        if (!sessionManager.getChannelStatus(channelId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        const campaignRecipients = csv
+            ? recipientsFromCsv(csv)
+            : recipients.map(recipient => (typeof recipient === 'string' ? { to: recipient } : recipient));
+
+        const campaign = campaignService.createCampaign({
+            channelId,
+            name,
+            message,
+            recipients: campaignRecipients,
+            throttle,
+            scheduledAt
+        });
+
+        res.status(201).json({
+            success: true,
+            data: campaignService.describeCampaign(campaign)
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * GET /campaigns
+ * Listar campanhas (filtros: channelId, status)
+ */
+router.get('/', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const { channelId, status } = req.query;
+        const campaigns = campaignService.listCampaigns({ channelId, status })
+            .filter(campaign => canAccessChannel(req.apiKey, campaign.channelId))
+            .map(campaign => campaignService.describeCampaign(campaign));
+
+        res.json({
+            success: true,
+            data: {
+                campaigns,
+                total: campaigns.length
+            }
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * GET /campaigns/:campaignId
+ * Detalhes e progresso da campanha
+ */
+router.get('/:campaignId', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const campaign = campaignService.requireCampaign(req.params.campaignId);
+
+        res.json({
+            success: true,
+            data: campaignService.describeCampaign(campaign)
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * GET /campaigns/:campaignId/recipients
+ * Resultado por destinatário (filtro: status; paginação: offset, limit)
+ */
+router.get('/:campaignId/recipients', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const campaign = campaignService.requireCampaign(req.params.campaignId);
+        const { status } = req.query;
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+        const recipients = campaign.recipients.filter(recipient => !status || recipient.status === status);
+
+        res.json({
+            success: true,
+            data: {
+                recipients: recipients.slice(offset, offset + limit),
+                total: recipients.length,
+                offset,
+                limit
+            }
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * POST /campaigns/:campaignId/pause
+ * Pausar campanha em andamento ou agendada
+ */
+router.post('/:campaignId/pause', requirePermission('send'), (req, res) => {
+    try {
+        const campaign = campaignService.pauseCampaign(req.params.campaignId);
+        res.json({
+            success: true,
+            data: campaignService.describeCampaign(campaign)
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * POST /campaigns/:campaignId/resume
+ * Retomar campanha pausada
+ */
+router.post('/:campaignId/resume', requirePermission('send'), (req, res) => {
+    try {
+        const campaign = campaignService.resumeCampaign(req.params.campaignId);
+        res.json({
+            success: true,
+            data: campaignService.describeCampaign(campaign)
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+/**
+ * POST /campaigns/:campaignId/cancel
+ * Cancelar campanha (destinatários pendentes não serão enviados)
+ */
+router.post('/:campaignId/cancel', requirePermission('send'), (req, res) => {
+    try {
+        const campaign = campaignService.cancelCampaign(req.params.campaignId);
+        res.json({
+            success: true,
+            data: campaignService.describeCampaign(campaign)
+        });
+    } catch (error) {
+        sendCampaignError(res, error);
+    }
+});
+
+export default router;
@@ -1,16 +1,219 @@
 import express from 'express';
 import sessionManager from '../sessions/manager.js';
+import webhookService from '../services/webhook.service.js';
+import messageStore from '../services/message-store.service.js';
+import whatsappService from '../services/whatsapp.service.js';
+import scanLinkService from '../services/scan-link.service.js';
+import throttleService, { POLICY_FIELDS } from '../services/throttle.service.js';
+import groupsRoutes from './groups.routes.js';
+import { renderQRCode } from '../utils/qrcode.js';
+import { parsePhoneNumber, resolveCountry, isValidCountry } from '../utils/phone.js';
+import { requirePermission, canAccessChannel } from '../middlewares/auth.middleware.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+function isValidWebhookUrl(url) {
+    return typeof url === 'string' && (url.startsWith('http://') || url.startsWith('https://'));
+}
+
+/**
+ * Erro de validação da configuração de webhook ({ error, message }), ou null.
+ * prefix: caminho dos campos nas mensagens (ex: 'webhook.' no POST /channels)
+ */
+function validateWebhook({ url, secret, events }, prefix = '') {
+    if (!isValidWebhookUrl(url)) {
+        return { error: 'INVALID_WEBHOOK_URL', message: `${prefix}url deve começar com http:// ou https://` };
+    }
+    if (secret !== undefined && secret !== null && (typeof secret !== 'string' || !secret.trim())) {
+        return { error: 'INVALID_WEBHOOK_SECRET', message: `${prefix}secret deve ser um texto não vazio` };
+    }
+    if (events !== undefined && events !== null && (!Array.isArray(events) || !events.every(event => typeof event === 'string'))) {
+        return { error: 'INVALID_EVENTS', message: `${prefix}events deve ser uma lista de eventos` };
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * settings.throttle: campos da política (POLICY_FIELDS), warmupDays e warmup (mesmos campos,
+ * aplicados durante o aquecimento). null volta ao padrão; 0 desativa o limite.
+ */
+function validateThrottle(throttle) {
+    if (!isPlainObject(throttle)) {
+        return 'settings.throttle deve ser um objeto';
+    }
+    if (throttle.warmup !== undefined && throttle.warmup !== null && !isPlainObject(throttle.warmup)) {
+        return 'settings.throttle.warmup deve ser um objeto';
+    }
+
+    const fields = [
+        ...POLICY_FIELDS.map(field => [`settings.throttle.${field}`, throttle[field]]),
+        ...POLICY_FIELDS.map(field => [`settings.throttle.warmup.${field}`, throttle.warmup?.[field]]),
+        ['settings.throttle.warmupDays', throttle.warmupDays]
+    ];
+    for (const [name, value] of fields) {
+        if (value !== undefined && value !== null && !isNonNegativeNumber(value)) {
+            return `${name} deve ser um número maior ou igual a zero`;
+        }
+    }
+    return null;
+}
+
+/**
+ * settings.typing: { enabled, minMs, maxMs, msPerChar } (ver WhatsAppService.simulateTyping)
+ */
+function validateTyping(typing) {
+    if (!isPlainObject(typing)) {
+        return 'settings.typing deve ser um objeto';
+    }
+    if (typing.enabled !== undefined && typeof typing.enabled !== 'boolean') {
+        return 'settings.typing.enabled deve ser true ou false';
+    }
+    for (const key of ['minMs', 'maxMs', 'msPerChar']) {
+        if (typing[key] !== undefined && !isNonNegativeNumber(typing[key])) {
+            return `settings.typing.${key} deve ser um número maior ou igual a zero`;
+        }
+    }
+    if (typing.minMs !== undefined && typing.maxMs !== undefined && typing.minMs > typing.maxMs) {
+        return 'settings.typing.minMs deve ser menor ou igual a maxMs';
+    }
+    return null;
+}
+
+/**
+ * Retorna a mensagem de erro ou null se settings for válido
+ */
+function validateSettings(settings) {
+    if (settings === undefined) {
+        return null;
+    }
+    if (!isPlainObject(settings)) {
+        return 'settings deve ser um objeto';
+    }
+    if (settings.defaultCountry !== undefined && settings.defaultCountry !== null && !isValidCountry(settings.defaultCountry)) {
+        return 'settings.defaultCountry deve ser um código de país ISO 3166-1 alfa-2 (ex: BR, PT, US)';
+    }
+    if (settings.mediaDownload !== undefined && typeof settings.mediaDownload !== 'boolean') {
+        return 'settings.mediaDownload deve ser true ou false';
+    }
+    for (const key of ['mediaMaxSizeMB', 'mediaRetentionDays']) {
+        if (settings[key] !== undefined && settings[key] !== null && !(typeof settings[key] === 'number' && settings[key] > 0)) {
+            return `settings.${key} deve ser um número positivo`;
+        }
+    }
+    if (settings.throttle !== undefined && settings.throttle !== null) {
+        const throttleError = validateThrottle(settings.throttle);
+        if (throttleError) {
+            return throttleError;
+        }
+    }
+    if (settings.typing !== undefined && settings.typing !== null) {
+        const typingError = validateTyping(settings.typing);
+        if (typingError) {
+            return typingError;
+        }
+    }
+    if (settings.allowedDomains !== undefined && settings.allowedDomains !== null && !(
+        Array.isArray(settings.allowedDomains) &&
+        settings.allowedDomains.every(domain => typeof domain === 'string' && /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain))
+    )) {
+        return 'settings.allowedDomains deve ser uma lista de domínios (ex: ["exemplo.com", "cdn.exemplo.com.br"])';
+    }
+    return null;
+}
+
+/**
+ * Número para login por código de pareamento, normalizado para E.164 com o país padrão
+ * informado. O Baileys espera apenas os dígitos (DDI + número).
+ */
+function normalizePairingNumber(phoneNumber, defaultCountry) {
+    if (typeof phoneNumber !== 'string' && typeof phoneNumber !== 'number') {
+        return parsePhoneNumber(null);
+    }
+    return parsePhoneNumber(String(phoneNumber), resolveCountry(defaultCountry));
+}
+
+function sendInvalidPhoneNumber(res, phone) {
+    return res.status(400).json({
+        success: false,
+        error: 'INVALID_PHONE_NUMBER',
+        reason: phone.reason,
+        message: `phoneNumber inválido: ${phone.message} (ex: +5511999999999)`
+    });
+}
+
+function listChannelMessages(req, res, jid = null) {
+    const { channelId } = req.params;
+    const { direction, type, since, until, cursor, limit } = req.query;
+
+    if (direction && !['inbound', 'outbound'].includes(direction)) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_FILTER',
+            message: 'direction deve ser inbound ou outbound'
+        });
+    }
+
+    for (const [name, value] of Object.entries({ since, until })) {
+        if (value && isNaN(Date.parse(value))) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_FILTER',
+                message: `${name} deve ser uma data ISO 8601`
+            });
+        }
+    }
+
+    try {
+        const result = messageStore.listMessages(channelId, {
+            jid,
+            direction,
+            type,
+            since: since && new Date(since).toISOString(),
+            until: until && new Date(until).toISOString(),
+            cursor,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.message === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_CURSOR',
+                message: 'Cursor de paginação inválido'
+            });
+        }
+
+        logger.error(`Erro ao listar mensagens do canal ${channelId}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+}
+
+router.use('/:channelId/groups', groupsRoutes);
+
 /**
  * POST /channels
  * Criar novo canal WhatsApp
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('admin'), async (req, res) => {
     try {
-        const { channelId } = req.body;
+        const { channelId, displayName, settings, webhook, phoneNumber } = req.body;
 
         if (!channelId) {
             return res.status(400).json({
@@ -20,6 +223,29 @@ router.post('/', async (req, res) => {
             });
         }
 
+        const settingsError = validateSettings(settings);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_SETTINGS',
+                message: settingsError
+            });
+        }
+
+        if (webhook !== undefined && webhook !== null) {
+            const webhookError = isPlainObject(webhook)
+                ? validateWebhook(webhook, 'webhook.')
+                : { error: 'INVALID_WEBHOOK_URL', message: 'webhook deve ser um objeto com url' };
+            if (webhookError) {
+                return res.status(400).json({ success: false, ...webhookError });
+            }
+        }
+
+        const pairingNumber = phoneNumber !== undefined ? normalizePairingNumber(phoneNumber, settings?.defaultCountry) : null;
+        if (pairingNumber && !pairingNumber.valid) {
+            return sendInvalidPhoneNumber(res, pairingNumber);
+        }
+
         const existingChannel = sessionManager.getChannelStatus(channelId);
         if (existingChannel) {
             return res.status(409).json({
@@ -30,12 +256,20 @@ router.post('/', async (req, res) => {
             });
         }
 
-        const channelData = await sessionManager.createChannel(channelId);
+        const channelData = await sessionManager.createChannel(channelId, {
+            displayName,
+            settings,
+            phoneNumber: pairingNumber?.digits ?? null
+        });
+
+        // Só depois do canal criado, para não deixar webhook (e secret) de um canal inexistente.
+        // Devolvido com o secret completo, como no PUT: a consulta depois só mostra o prefixo
+        const channelWebhook = webhook ? webhookService.setWebhook(channelId, webhook) : null;
         logger.info(`Canal criado via API: ${channelId}`);
 
         res.status(201).json({
             success: true,
-            data: channelData
+            data: channelWebhook ? { ...channelData, webhook: channelWebhook } : channelData
         });
     } catch (error) {
         logger.error('Erro ao criar canal:', error);
@@ -51,9 +285,10 @@ router.post('/', async (req, res) => {
  * GET /channels
  * Listar todos os canais
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('read'), async (req, res) => {
     try {
-        const channels = sessionManager.getAllChannels();
+        const channels = sessionManager.getAllChannels()
+            .filter(channel => canAccessChannel(req.apiKey, channel.channelId));
         res.json({
             success: true,
             data: {
@@ -71,11 +306,92 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /channels/:channelId
+ * Detalhes do canal (cadastro, configurações e estado atual)
+ */
+router.get('/:channelId', requirePermission('read'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const channel = sessionManager.getChannelDetails(channelId);
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: channel
+        });
+    } catch (error) {
+        logger.error(`Erro ao consultar canal:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /channels/:channelId
+ * Atualizar nome de exibição e configurações do canal
+ */
+router.patch('/:channelId', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const { displayName, settings } = req.body;
+
+        if (displayName !== undefined && (typeof displayName !== 'string' || !displayName.trim())) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_DISPLAY_NAME',
+                message: 'displayName deve ser um texto não vazio'
+            });
+        }
+
+        const settingsError = validateSettings(settings);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_SETTINGS',
+                message: settingsError
+            });
+        }
+
+        const channel = sessionManager.updateChannel(channelId, { displayName, settings });
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: channel
+        });
+    } catch (error) {
+        logger.error(`Erro ao atualizar canal:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /channels/:channelId/status
  * Obter status de um canal
  */
-router.get('/:channelId/status', async (req, res) => {
+router.get('/:channelId/status', requirePermission('read'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const channelStatus = sessionManager.getChannelStatus(channelId);
@@ -90,7 +406,10 @@ router.get('/:channelId/status', async (req, res) => {
 
         res.json({
             success: true,
-            data: channelStatus
+            data: {
+                ...channelStatus,
+                throttle: throttleService.describe(channelId)
+            }
         });
     } catch (error) {
         logger.error(`Erro ao consultar status do canal:`, error);
@@ -102,11 +421,122 @@ router.get('/:channelId/status', async (req, res) => {
     }
 });
 
+/**
+ * GET /channels/:channelId/qrcode
+ * QR Code atual como PNG, SVG ou data URL (via Accept ou ?format=png|svg|dataurl)
+ */
+router.get('/:channelId/qrcode', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const channelStatus = sessionManager.getChannelStatus(channelId);
+
+        if (!channelStatus) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        if (channelStatus.status !== 'QRCODE' || !channelStatus.url_qrcode) {
+            return res.status(404).json({
+                success: false,
+                error: 'QRCODE_NOT_AVAILABLE',
+                message: 'Nenhum QR Code disponível no momento',
+                data: { status: channelStatus.status }
+            });
+        }
+
+        const qr = channelStatus.url_qrcode;
+        const formats = {
+            png: async () => res.type('image/png').send(await renderQRCode(qr, 'png')),
+            svg: async () => res.type('image/svg+xml').send(await renderQRCode(qr, 'svg')),
+            dataurl: async () => res.json({
+                success: true,
+                data: {
+                    channelId,
+                    status: channelStatus.status,
+                    qrCode: await renderQRCode(qr, 'dataurl')
+                }
+            })
+        };
+
+        const format = req.query.format
+            || { 'image/png': 'png', 'image/svg+xml': 'svg', 'application/json': 'dataurl' }[
+                req.accepts(['image/png', 'image/svg+xml', 'application/json'])
+            ];
+
+        if (!formats[format]) {
+            return res.status(406).json({
+                success: false,
+                error: 'UNSUPPORTED_FORMAT',
+                message: 'Formatos disponíveis: png, svg, dataurl'
+            });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        await formats[format]();
+    } catch (error) {
+        logger.error(`Erro ao gerar QR Code:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /channels/:channelId/scan-link
+ * Gerar link público e temporário da página de conexão (QR Code / código de pareamento)
+ */
+router.post('/:channelId/scan-link', requirePermission('admin'), (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        if (!sessionManager.getChannelStatus(channelId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        const ttlMinutes = req.body?.ttlMinutes !== undefined ? Number(req.body.ttlMinutes) : undefined;
+        if (ttlMinutes !== undefined && !(ttlMinutes > 0 && ttlMinutes <= 1440)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_TTL',
+                message: 'ttlMinutes deve estar entre 1 e 1440'
+            });
+        }
+
+        const { token, expiresAt } = scanLinkService.createToken(channelId, ttlMinutes);
+        const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+        res.status(201).json({
+            success: true,
+            data: {
+                channelId,
+                url: `${baseUrl.replace(/\/$/, '')}/scan/${encodeURIComponent(channelId)}?token=${encodeURIComponent(token)}`,
+                expiresAt
+            }
+        });
+    } catch (error) {
+        logger.error(`Erro ao gerar link de conexão:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /channels/:channelId/qrcode
  * Regenerar QR Code
  */
-router.post('/:channelId/qrcode', async (req, res) => {
+router.post('/:channelId/qrcode', requirePermission('admin'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const channelStatus = sessionManager.getChannelStatus(channelId);
@@ -144,11 +574,58 @@ router.post('/:channelId/qrcode', async (req, res) => {
     }
 });
 
+/**
+ * POST /channels/:channelId/pairing-code
+ * Reconectar o canal por código de pareamento (alternativa ao QR Code)
+ */
+router.post('/:channelId/pairing-code', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const channelStatus = sessionManager.getChannelStatus(channelId);
+
+        if (!channelStatus) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        if (channelStatus.status === 'CONNECTED') {
+            return res.status(400).json({
+                success: false,
+                error: 'CHANNEL_ALREADY_CONNECTED',
+                message: 'Canal já está conectado'
+            });
+        }
+
+        const pairingNumber = normalizePairingNumber(req.body.phoneNumber, sessionManager.getChannelSettings(channelId).defaultCountry);
+        if (!pairingNumber.valid) {
+            return sendInvalidPhoneNumber(res, pairingNumber);
+        }
+
+        const channelData = await sessionManager.requestPairingCode(channelId, pairingNumber.digits);
+        logger.info(`Código de pareamento solicitado para canal: ${channelId}`);
+
+        res.json({
+            success: true,
+            data: channelData
+        });
+    } catch (error) {
+        logger.error(`Erro ao solicitar código de pareamento:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /channels/:channelId/health
  * Verificar saúde da conexão
  */
-router.get('/:channelId/health', async (req, res) => {
+router.get('/:channelId/health', requirePermission('read'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const channelStatus = sessionManager.getChannelStatus(channelId);
@@ -182,11 +659,134 @@ router.get('/:channelId/health', async (req, res) => {
     }
 });
 
+/**
+ * GET /channels/:channelId/messages
+ * Histórico de mensagens do canal (paginação por cursor)
+ */
+router.get('/:channelId/messages', requirePermission('read'), (req, res) => {
+    listChannelMessages(req, res);
+});
+
+/**
+ * GET /channels/:channelId/chats/:jid/messages
+ * Histórico de mensagens de uma conversa (JID ou número)
+ */
+router.get('/:channelId/chats/:jid/messages', requirePermission('read'), (req, res) => {
+    const { channelId, jid } = req.params;
+    if (jid.includes('@')) {
+        return listChannelMessages(req, res, jid);
+    }
+
+    // Número inválido no plano de numeração: consulta pelos dígitos como informados
+    const phone = parsePhoneNumber(jid, whatsappService.getDefaultCountry(channelId));
+    const digits = phone.valid ? phone.digits : jid.replace(/\D/g, '');
+    listChannelMessages(req, res, `${digits}@s.whatsapp.net`);
+});
+
+/**
+ * GET /channels/:channelId/webhook
+ * Consultar webhook configurado para o canal
+ */
+router.get('/:channelId/webhook', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const webhook = webhookService.getWebhook(channelId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'WEBHOOK_NOT_FOUND',
+                message: 'Nenhum webhook configurado para este canal'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { channelId, ...webhookService.describeWebhook(webhook) }
+        });
+    } catch (error) {
+        logger.error(`Erro ao consultar webhook:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /channels/:channelId/webhook
+ * Configurar URL de webhook para mensagens recebidas
+ */
+router.put('/:channelId/webhook', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+        const { url, secret, events } = req.body;
+
+        if (!sessionManager.getChannelStatus(channelId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        const webhookError = validateWebhook({ url, secret, events });
+        if (webhookError) {
+            return res.status(400).json({ success: false, ...webhookError });
+        }
+
+        const webhook = webhookService.setWebhook(channelId, { url, secret, events });
+
+        res.json({
+            success: true,
+            data: { channelId, ...webhook }
+        });
+    } catch (error) {
+        logger.error(`Erro ao configurar webhook:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /channels/:channelId/webhook
+ * Remover webhook do canal
+ */
+router.delete('/:channelId/webhook', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        if (!webhookService.removeWebhook(channelId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'WEBHOOK_NOT_FOUND',
+                message: 'Nenhum webhook configurado para este canal'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Webhook do canal ${channelId} removido com sucesso`
+        });
+    } catch (error) {
+        logger.error(`Erro ao remover webhook:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
 /**
  * DELETE /channels/:channelId
  * Desconectar/remover canal
  */
-router.delete('/:channelId', async (req, res) => {
+router.delete('/:channelId', requirePermission('admin'), async (req, res) => {
     try {
         const { channelId } = req.params;
         const channelStatus = sessionManager.getChannelStatus(channelId);
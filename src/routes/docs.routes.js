@@ -0,0 +1,25 @@
+import express from 'express';
+import { getOpenApiSpec } from '../schemas/openapi.js';
+import { renderApiDocsPage } from '../views/api-docs.js';
+
+// Rotas públicas (sem API Key): descrevem a API, sem dados dos canais
+const router = express.Router();
+
+/**
+ * GET /openapi.json
+ * Especificação OpenAPI 3, para gerar SDKs e importar em clientes HTTP
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(getOpenApiSpec());
+});
+
+/**
+ * GET /docs
+ * Documentação interativa da API
+ */
+router.get('/docs', (req, res) => {
+    // Relativo, para funcionar atrás de proxies que servem a API em um subcaminho
+    res.send(renderApiDocsPage(req.path.endsWith('/') ? '../openapi.json' : 'openapi.json'));
+});
+
+export default router;
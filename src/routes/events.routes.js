@@ -0,0 +1,243 @@
+import express from 'express';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import eventBus, { SENSITIVE_EVENTS } from '../services/event-bus.service.js';
+import apiKeyService from '../services/api-key.service.js';
+import { requirePermission, canAccessChannel, hasPermission, getRequestApiKey } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25000;
+const WS_PATH = '/events/ws';
+const TICKET_TTL_MS = 30000;
+
+// Conexões abertas (SSE e WebSocket): { keyId, close }, encerradas no shutdown e na revogação da chave
+const openStreams = new Set();
+
+// Tickets de uso único do WebSocket: ticket -> { keyId, expiresAt }
+const tickets = new Map();
+
+function issueTicket(apiKey) {
+    const now = Date.now();
+    for (const [ticket, entry] of tickets) {
+        if (entry.expiresAt <= now) {
+            tickets.delete(ticket);
+        }
+    }
+
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    tickets.set(ticket, { keyId: apiKey.id, expiresAt: now + TICKET_TTL_MS });
+    return { ticket, expiresAt: new Date(now + TICKET_TTL_MS).toISOString() };
+}
+
+/**
+ * API Key do ticket, autenticada de novo pelo id: revogada depois de emitir o ticket, não abre o WebSocket
+ */
+function redeemTicket(ticket) {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    return entry && entry.expiresAt > Date.now() ? apiKeyService.authenticateId(entry.keyId) : null;
+}
+
+function parseList(value) {
+    if (!value) {
+        return null;
+    }
+    const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Monta o filtro da assinatura a partir de ?channels=a,b&types=message.received,channel.*
+ * restrito aos canais da API Key. Retorna { error } se um canal pedido não é acessível.
+ */
+function createSubscription(apiKey, query) {
+    let channels = parseList(query.channels);
+
+    const denied = channels?.find(channelId => !canAccessChannel(apiKey, channelId));
+    if (denied) {
+        return { error: denied };
+    }
+
+    if (!channels && !apiKey.channels.includes('*')) {
+        channels = apiKey.channels;
+    }
+
+    const filter = { channels, types: parseList(query.types) };
+    const canSeeSensitive = hasPermission(apiKey, 'admin');
+
+    return {
+        accepts: event => eventBus.matches(event, filter) && (canSeeSensitive || !SENSITIVE_EVENTS.includes(event.type))
+    };
+}
+
+/**
+ * Entrega os eventos do buffer posteriores a lastEventId e passa a acompanhar os novos.
+ * Retorna a função que encerra a assinatura.
+ */
+function streamEvents(subscription, lastEventId, send) {
+    if (lastEventId !== undefined && lastEventId !== null && lastEventId !== '') {
+        for (const event of eventBus.getEventsSince(lastEventId)) {
+            if (subscription.accepts(event)) {
+                send(event);
+            }
+        }
+    }
+
+    return eventBus.subscribe(event => {
+        if (subscription.accepts(event)) {
+            send(event);
+        }
+    });
+}
+
+/**
+ * GET /events
+ * Stream de eventos em tempo real (Server-Sent Events)
+ * Filtros: channels, types (aceita prefixo: channel.*). Retomada: header Last-Event-ID ou ?lastEventId
+ */
+router.get('/', requirePermission('read'), (req, res) => {
+    const subscription = createSubscription(req.apiKey, req.query);
+    if (subscription.error) {
+        return res.status(403).json({
+            success: false,
+            error: 'CHANNEL_ACCESS_DENIED',
+            message: `API Key sem acesso ao canal ${subscription.error}`
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = streamEvents(
+        subscription,
+        req.get('Last-Event-ID') ?? req.query.lastEventId,
+        event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    );
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const stream = { keyId: req.apiKey.id, close: () => res.end() };
+    openStreams.add(stream);
+
+    logger.debug(`Stream SSE aberto (API Key ${req.apiKey.id})`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        openStreams.delete(stream);
+    });
+});
+
+/**
+ * POST /events/ticket
+ * Ticket para abrir o WebSocket em navegadores, que não enviam headers no WebSocket: vale uma única
+ * conexão, por TICKET_TTL_MS, com as permissões e canais atuais da API Key que o pediu
+ */
+router.post('/ticket', requirePermission('read'), (req, res) => {
+    res.status(201).json({
+        success: true,
+        data: issueTicket(req.apiKey)
+    });
+});
+
+/**
+ * WebSocket em /events/ws, com os mesmos filtros do SSE (channels, types, lastEventId).
+ * Autenticação pelo header da API Key ou, em navegadores, por ?ticket= (POST /events/ticket);
+ * a API Key nunca vai na URL, que acaba em logs de proxies e no histórico do navegador
+ */
+export function attachEventsWebSocket(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WS_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const query = Object.fromEntries(url.searchParams);
+        const apiKey = query.ticket
+            ? redeemTicket(query.ticket)
+            : apiKeyService.authenticate(getRequestApiKey(req));
+
+        const reject = (status, message) => {
+            socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+            socket.destroy();
+        };
+
+        if (!apiKey) {
+            return reject(401, 'Unauthorized');
+        }
+        if (!hasPermission(apiKey, 'read')) {
+            return reject(403, 'Forbidden');
+        }
+
+        const subscription = createSubscription(apiKey, query);
+        if (subscription.error) {
+            return reject(403, 'Forbidden');
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => {
+            const unsubscribe = streamEvents(subscription, query.lastEventId, event => {
+                if (ws.readyState === ws.OPEN) {
+                    ws.send(JSON.stringify(event));
+                }
+            });
+
+            // Derruba conexões que pararam de responder ao ping
+            let alive = true;
+            ws.on('pong', () => {
+                alive = true;
+            });
+            const heartbeat = setInterval(() => {
+                if (!alive) {
+                    return ws.terminate();
+                }
+                alive = false;
+                ws.ping();
+            }, HEARTBEAT_MS);
+
+            const stream = {
+                keyId: apiKey.id,
+                close: (code = 1001, reason = 'Servidor encerrando') => ws.close(code, reason)
+            };
+            openStreams.add(stream);
+
+            logger.debug(`WebSocket de eventos aberto (API Key ${apiKey.id})`);
+
+            ws.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+                openStreams.delete(stream);
+            });
+        });
+    });
+
+    return wss;
+}
+
+export function closeEventStreams() {
+    for (const stream of openStreams) {
+        stream.close();
+    }
+}
+
+/**
+ * Encerra os streams abertos com uma API Key revogada
+ */
+export function closeKeyEventStreams(keyId) {
+    for (const stream of openStreams) {
+        if (stream.keyId === keyId) {
+            stream.close(1008, 'API Key revogada');
+        }
+    }
+}
+
+export default router;
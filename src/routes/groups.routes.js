@@ -0,0 +1,206 @@
+import express from 'express';
+import groupService, { PARTICIPANT_ACTIONS } from '../services/group.service.js';
+import sessionManager from '../sessions/manager.js';
+import { requirePermission, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+// Montado em /channels/:channelId/groups
+const router = express.Router({ mergeParams: true });
+
+function sendGroupError(res, error) {
+    const errors = {
+        CHANNEL_NOT_CONNECTED: [400, 'Canal não está conectado'],
+        INVALID_GROUP_ID: [400, 'groupId inválido (use 120363000000000000@g.us ou apenas o número)'],
+        INVALID_SUBJECT: [400, 'subject deve ser um texto não vazio'],
+        INVALID_PARTICIPANTS: [400, 'participants deve ser uma lista de números válidos'],
+        INVALID_ACTION: [400, `Ação deve ser uma de: ${PARTICIPANT_ACTIONS.join(', ')}`],
+        GROUP_NOT_FOUND: [404, 'Grupo não encontrado ou o canal não participa dele'],
+        GROUP_FORBIDDEN: [403, 'O canal precisa ser administrador do grupo para esta operação']
+    };
+
+    if (errors[error.message]) {
+        const [status, message] = errors[error.message];
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            message
+        });
+    }
+
+    logger.error('Erro na operação de grupo:', error);
+    res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message
+    });
+}
+
+router.use((req, res, next) => {
+    const { channelId } = req.params;
+
+    if (!canAccessChannel(req.apiKey, channelId)) {
+        return denyChannelAccess(res, channelId);
+    }
+
+    if (!sessionManager.getChannelStatus(channelId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'CHANNEL_NOT_FOUND',
+            message: 'Canal não encontrado'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /channels/:channelId/groups
+ * Listar grupos dos quais o canal participa
+ */
+router.get('/', requirePermission('read'), async (req, res) => {
+    try {
+        const groups = await groupService.listGroups(req.params.channelId);
+        res.json({
+            success: true,
+            data: {
+                groups,
+                total: groups.length
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * POST /channels/:channelId/groups
+ * Criar grupo
+ */
+router.post('/', requirePermission('admin'), async (req, res) => {
+    try {
+        const { subject, participants } = req.body;
+        const group = await groupService.createGroup(req.params.channelId, { subject, participants });
+
+        res.status(201).json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * GET /channels/:channelId/groups/:groupId
+ * Metadados do grupo (com participantes)
+ */
+router.get('/:groupId', requirePermission('read'), async (req, res) => {
+    try {
+        const group = await groupService.getGroup(req.params.channelId, req.params.groupId);
+        res.json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * PATCH /channels/:channelId/groups/:groupId
+ * Alterar assunto (subject) e/ou descrição (description) do grupo
+ */
+router.patch('/:groupId', requirePermission('admin'), async (req, res) => {
+    try {
+        const { subject, description } = req.body;
+
+        if (subject === undefined && description === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_REQUIRED_FIELDS',
+                message: 'Informe subject e/ou description'
+            });
+        }
+
+        const group = await groupService.updateGroup(req.params.channelId, req.params.groupId, { subject, description });
+        res.json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * GET /channels/:channelId/groups/:groupId/participants
+ * Listar participantes do grupo
+ */
+router.get('/:groupId/participants', requirePermission('read'), async (req, res) => {
+    try {
+        const { participants } = await groupService.getGroup(req.params.channelId, req.params.groupId);
+        res.json({
+            success: true,
+            data: {
+                participants,
+                total: participants.length
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * POST /channels/:channelId/groups/:groupId/participants/:action
+ * Adicionar, remover, promover a admin ou rebaixar participantes (action: add, remove, promote, demote)
+ */
+router.post('/:groupId/participants/:action', requirePermission('admin'), async (req, res) => {
+    try {
+        const { channelId, groupId, action } = req.params;
+        const results = await groupService.updateParticipants(channelId, groupId, action, req.body.participants);
+
+        res.json({
+            success: true,
+            data: {
+                action,
+                results
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * GET /channels/:channelId/groups/:groupId/invite
+ * Link de convite atual do grupo
+ */
+router.get('/:groupId/invite', requirePermission('send'), async (req, res) => {
+    try {
+        const invite = await groupService.getInviteLink(req.params.channelId, req.params.groupId);
+        res.json({
+            success: true,
+            data: invite
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+/**
+ * POST /channels/:channelId/groups/:groupId/invite/revoke
+ * Revogar o link de convite atual e gerar um novo
+ */
+router.post('/:groupId/invite/revoke', requirePermission('admin'), async (req, res) => {
+    try {
+        const invite = await groupService.revokeInviteLink(req.params.channelId, req.params.groupId);
+        res.json({
+            success: true,
+            data: invite
+        });
+    } catch (error) {
+        sendGroupError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import queueService from '../services/queue.service.js';
+import { requirePermission, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /jobs
+ * Listar jobs da fila de envio (filtros: channelId, status)
+ */
+router.get('/', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const { channelId, status } = req.query;
+        const jobs = queueService.listJobs({ channelId, status })
+            .filter(job => canAccessChannel(req.apiKey, job.channelId))
+            .map(job => queueService.describeJob(job));
+
+        res.json({
+            success: true,
+            data: {
+                jobs,
+                total: jobs.length
+            }
+        });
+    } catch (error) {
+        logger.error('Erro ao listar jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /jobs/:jobId
+ * Consultar um job da fila de envio
+ */
+router.get('/:jobId', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const job = queueService.getJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'JOB_NOT_FOUND',
+                message: 'Job não encontrado'
+            });
+        }
+
+        if (!canAccessChannel(req.apiKey, job.channelId)) {
+            return denyChannelAccess(res, job.channelId);
+        }
+
+        res.json({
+            success: true,
+            data: queueService.describeJob(job)
+        });
+    } catch (error) {
+        logger.error('Erro ao consultar job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /jobs/:jobId
+ * Cancelar um job que ainda não foi enviado
+ */
+router.delete('/:jobId', requirePermission('send'), (req, res) => {
+    try {
+        const existing = queueService.getJob(req.params.jobId);
+        if (existing && !canAccessChannel(req.apiKey, existing.channelId)) {
+            return denyChannelAccess(res, existing.channelId);
+        }
+
+        const job = queueService.cancelJob(req.params.jobId);
+
+        res.json({
+            success: true,
+            data: queueService.describeJob(job)
+        });
+    } catch (error) {
+        if (error.message === 'JOB_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: 'JOB_NOT_FOUND',
+                message: 'Job não encontrado'
+            });
+        }
+
+        if (error.message === 'JOB_NOT_CANCELLABLE') {
+            return res.status(409).json({
+                success: false,
+                error: 'JOB_NOT_CANCELLABLE',
+                message: 'Somente jobs aguardando envio podem ser cancelados'
+            });
+        }
+
+        logger.error('Erro ao cancelar job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+export default router;
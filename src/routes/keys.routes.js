@@ -0,0 +1,137 @@
+import express from 'express';
+import apiKeyService, { PERMISSIONS, ROLES } from '../services/api-key.service.js';
+import { requireGlobalAdmin } from '../middlewares/auth.middleware.js';
+import { closeKeyEventStreams } from './events.routes.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(requireGlobalAdmin);
+
+function sendKeyError(res, error) {
+    const errors = {
+        API_KEY_NOT_FOUND: [404, 'API Key não encontrada'],
+        API_KEY_REVOKED: [409, 'API Key já foi revogada'],
+        INVALID_ROLE: [400, `role deve ser um de: ${Object.keys(ROLES).join(', ')}`],
+        INVALID_PERMISSIONS: [400, `permissions deve ser uma lista com: ${PERMISSIONS.join(', ')}`],
+        INVALID_CHANNELS: [400, 'channels deve ser uma lista de channelIds (ou ["*"] para todos)']
+    };
+
+    if (errors[error.message]) {
+        const [status, message] = errors[error.message];
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            message
+        });
+    }
+
+    logger.error('Erro na gestão de API Keys:', error);
+    res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message
+    });
+}
+
+/**
+ * POST /keys
+ * Criar API Key (a chave completa só é retornada nesta resposta)
+ */
+router.post('/', (req, res) => {
+    try {
+        const { name, role, permissions, channels } = req.body;
+
+        if (role === undefined && permissions === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'MISSING_REQUIRED_FIELDS',
+                message: 'Informe role ou permissions'
+            });
+        }
+
+        const apiKey = apiKeyService.createKey({ name, role, permissions, channels });
+
+        res.status(201).json({
+            success: true,
+            data: apiKey
+        });
+    } catch (error) {
+        sendKeyError(res, error);
+    }
+});
+
+/**
+ * GET /keys
+ * Listar API Keys (sem o valor da chave)
+ */
+router.get('/', (req, res) => {
+    try {
+        const keys = apiKeyService.listKeys();
+        res.json({
+            success: true,
+            data: {
+                keys,
+                total: keys.length
+            }
+        });
+    } catch (error) {
+        sendKeyError(res, error);
+    }
+});
+
+/**
+ * GET /keys/:keyId
+ * Consultar API Key
+ */
+router.get('/:keyId', (req, res) => {
+    try {
+        const record = apiKeyService.getKey(req.params.keyId);
+        if (!record) {
+            throw new Error('API_KEY_NOT_FOUND');
+        }
+
+        res.json({
+            success: true,
+            data: apiKeyService.describeKey(record)
+        });
+    } catch (error) {
+        sendKeyError(res, error);
+    }
+});
+
+/**
+ * POST /keys/:keyId/rotate
+ * Gerar novo valor para a chave, mantendo escopo e permissões (o valor anterior deixa de valer)
+ */
+router.post('/:keyId/rotate', (req, res) => {
+    try {
+        const apiKey = apiKeyService.rotateKey(req.params.keyId);
+        res.json({
+            success: true,
+            data: apiKey
+        });
+    } catch (error) {
+        sendKeyError(res, error);
+    }
+});
+
+/**
+ * DELETE /keys/:keyId
+ * Revogar API Key
+ */
+router.delete('/:keyId', (req, res) => {
+    try {
+        const apiKey = apiKeyService.revokeKey(req.params.keyId);
+        // Streams de eventos já abertos não passam de novo pela autenticação
+        closeKeyEventStreams(apiKey.id);
+        res.json({
+            success: true,
+            data: apiKey
+        });
+    } catch (error) {
+        sendKeyError(res, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import mediaService from '../services/media.service.js';
+import { requirePermission, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /media/:mediaId
+ * Baixar a mídia de uma mensagem recebida (?download=true força o download como anexo)
+ */
+router.get('/:mediaId', requirePermission('read'), (req, res) => {
+    const media = mediaService.getMedia(req.params.mediaId);
+
+    if (!media) {
+        return res.status(404).json({
+            success: false,
+            error: 'MEDIA_NOT_FOUND',
+            message: 'Mídia não encontrada ou expirada'
+        });
+    }
+
+    if (!canAccessChannel(req.apiKey, media.channelId)) {
+        return denyChannelAccess(res, media.channelId);
+    }
+
+    if (req.get('If-None-Match') === `"${media.sha256}"`) {
+        return res.status(304).end();
+    }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    const fileName = media.fileName || media.id;
+
+    res.set({
+        'Content-Type': media.mimetype,
+        'Content-Length': media.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Cache-Control': 'private, max-age=86400',
+        ETag: `"${media.sha256}"`,
+        'X-Content-SHA256': media.sha256
+    });
+
+    const stream = mediaService.createReadStream(media.id);
+    stream.on('error', (error) => {
+        logger.error(`Erro ao ler mídia ${media.id}:`, error.message);
+        if (!res.headersSent) {
+            return res.status(404).json({
+                success: false,
+                error: 'MEDIA_NOT_FOUND',
+                message: 'Arquivo da mídia não encontrado no armazenamento'
+            });
+        }
+        res.destroy(error);
+    });
+    stream.pipe(res);
+});
+
+export default router;
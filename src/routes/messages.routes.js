@@ -1,119 +1,406 @@
 import express from 'express';
+import path from 'path';
 import whatsappService from '../services/whatsapp.service.js';
 import sessionManager from '../sessions/manager.js';
+import messageStore from '../services/message-store.service.js';
+import queueService from '../services/queue.service.js';
+import schedulerService from '../services/scheduler.service.js';
+import numberCache from '../services/number-cache.service.js';
+import { requirePermission, requireGlobalAdmin, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { acceptUpload, keepUpload } from '../middlewares/upload.middleware.js';
+import { storeUpload, removeUpload } from '../utils/uploads.js';
+import { idempotent } from '../middlewares/idempotency.middleware.js';
 import { logger } from '../utils/logger.js';
+import { isValidCountry, resolveCountry, parsePhoneNumber } from '../utils/phone.js';
+import { parseCsvNumbers } from '../utils/csv.js';
+import { DOWNLOAD_MAX_SIZE_MB } from '../utils/safe-fetch.js';
+import { getCapabilities } from '../utils/ffmpeg.js';
+import { compileSchema, describeErrors } from '../utils/validation.js';
+import { sendMessageSchema, MESSAGE_TYPES } from '../schemas/messages.schema.js';
 
 const router = express.Router();
 
+const MAX_CHECK_NUMBERS = parseInt(process.env.NUMBER_CHECK_MAX_NUMBERS) || 1000;
+
+const SCHEDULE_ERRORS = {
+    INVALID_SEND_AT: 'sendAt deve ser uma data ISO 8601 com fuso horário (ex: 2024-01-01T09:00:00-03:00)',
+    SEND_AT_IN_PAST: 'sendAt deve estar no futuro',
+    INVALID_MISSED_POLICY: 'missedPolicy deve ser send ou drop'
+};
+
+// Erros conhecidos dos envios síncronos -> [status HTTP, mensagem]
+const SEND_ERRORS = {
+    CHANNEL_NOT_CONNECTED: [400, 'Canal não está conectado'],
+    INVALID_WHATSAPP_NUMBER: [400, 'Número não existe no WhatsApp'],
+    GROUP_NOT_FOUND: [400, 'Grupo não encontrado ou o canal não participa dele'],
+    DOWNLOAD_FAILED: [400, 'Não foi possível baixar o arquivo'],
+    INVALID_URL: [400, 'URL deve começar com http:// ou https://'],
+    URL_NOT_ALLOWED: [400, 'URL aponta para um endereço interno ou não permitido'],
+    DOMAIN_NOT_ALLOWED: [400, 'Domínio da URL não está na lista de domínios permitidos do canal (settings.allowedDomains)'],
+    FILE_TOO_LARGE: [413, `Arquivo maior que o limite de ${DOWNLOAD_MAX_SIZE_MB} MB`],
+    CONTENT_TYPE_MISMATCH: [422, 'O conteúdo baixado não corresponde ao tipo do arquivo (ex: página HTML no lugar de um PDF)'],
+    INVALID_MEDIA_OPTIONS: [400, 'Opções de mídia inválidas: ptt só para áudio, gifPlayback só para vídeo, viewOnce e sticker só para imagem ou vídeo'],
+    INVALID_THUMBNAIL: [400, 'thumbnail deve ser uma imagem em base64 (JPEG quando o ffmpeg não está disponível)'],
+    CONVERSION_UNAVAILABLE: [400, 'Conversão indisponível no servidor (ffmpeg ausente); veja GET /messages/supported-types'],
+    CONVERSION_FAILED: [422, 'Não foi possível converter o arquivo para o formato exigido pelo WhatsApp'],
+    QUOTED_MESSAGE_NOT_FOUND: [400, 'quoted deve ser o id de uma mensagem do histórico da mesma conversa'],
+    MESSAGE_NOT_FOUND: [404, 'Mensagem não encontrada no histórico do canal'],
+    INVALID_MENTIONS: [400, 'mentions deve ser uma lista de números válidos'],
+    INVALID_LOCATION: [400, 'latitude (-90 a 90) e longitude (-180 a 180) são obrigatórias'],
+    INVALID_CONTACTS: [400, 'contacts deve ter de 1 a 10 contatos com name e phone válidos'],
+    INVALID_POLL: [400, 'Enquete inválida: name, 2 a 12 options distintas e selectableCount entre 1 e o número de opções'],
+    INVALID_REACTION: [400, 'emoji deve ser um emoji ou vazio para remover a reação'],
+    INVALID_TEXT: [400, 'text deve ser um texto não vazio'],
+    MESSAGE_NOT_OWN: [400, 'Somente mensagens enviadas pelo canal podem ser editadas ou apagadas'],
+    MESSAGE_NOT_EDITABLE: [400, 'Apenas texto e legendas de imagem, vídeo ou documento podem ser editados'],
+    MESSAGE_REVOKED: [409, 'Mensagem já foi apagada para todos'],
+    RATE_LIMITED: [429, 'Limite de envios do canal atingido (settings.throttle); tente novamente após Retry-After segundos'],
+    MESSAGE_WINDOW_EXPIRED: [409, `Prazo do WhatsApp expirado: editar até ${whatsappService.EDIT_WINDOW_MS / 60000} min e apagar até ${whatsappService.REVOKE_WINDOW_MS / 3600000} h após o envio`]
+};
+
+function sendMessageError(res, error) {
+    if (error.message === 'RATE_LIMITED') {
+        res.set('Retry-After', String(error.retryAfter));
+        const [status, message] = SEND_ERRORS.RATE_LIMITED;
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            message,
+            limit: error.limit,
+            retryAfter: error.retryAfter
+        });
+    }
+
+    if (SEND_ERRORS[error.message]) {
+        const [status, message] = SEND_ERRORS[error.message];
+        return res.status(status).json({
+            success: false,
+            error: error.message,
+            message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: 'INTERNAL_ERROR',
+        message: error.message
+    });
+}
+
 /**
- * POST /messages/text
- * Enviar mensagem de texto
+ * Valida e normaliza o destino (número em E.164 ou JID de grupo), usando o país padrão da requisição,
+ * do canal ou DEFAULT_COUNTRY. Responde 400 com o motivo e retorna null se inválido.
  */
-router.post('/text', async (req, res) => {
-    try {
-        const { channelId, to, message } = req.body;
+function resolveRecipient(res, channelId, to, defaultCountry) {
+    if (defaultCountry !== undefined && !isValidCountry(defaultCountry)) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_COUNTRY',
+            message: 'defaultCountry deve ser um código de país ISO 3166-1 alfa-2 (ex: BR, PT, US)'
+        });
+        return null;
+    }
 
-        // Validações
-        if (!channelId || !to || !message) {
-            return res.status(400).json({
-                success: false,
-                error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId, to e message são obrigatórios'
-            });
-        }
+    const country = resolveCountry(defaultCountry, sessionManager.getChannelSettings(channelId).defaultCountry);
+    const recipient = whatsappService.validateRecipient(to, country);
 
-        if (!whatsappService.isValidWhatsAppNumber(to)) {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_NUMBER',
-                message: 'Número de WhatsApp inválido'
-            });
-        }
+    if (!recipient.valid) {
+        res.status(400).json({
+            success: false,
+            error: 'INVALID_NUMBER',
+            reason: recipient.reason,
+            message: `Número de WhatsApp inválido: ${recipient.message}`
+        });
+        return null;
+    }
 
-        const channelStatus = sessionManager.getChannelStatus(channelId);
-        if (!channelStatus) {
-            return res.status(404).json({
-                success: false,
-                error: 'CHANNEL_NOT_FOUND',
-                message: 'Canal não encontrado'
-            });
-        }
+    return recipient.to;
+}
 
-        if (!sessionManager.isChannelConnected(channelId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: `Canal não está conectado. Status: ${channelStatus.status}`
-            });
-        }
+/**
+ * quoted (resposta) deve referenciar uma mensagem do histórico do canal; a conversa é conferida no envio
+ */
+function assertQuotedMessage(channelId, quoted) {
+    if (quoted !== undefined && (typeof quoted !== 'string' || !messageStore.getMessage(channelId, quoted))) {
+        throw new Error('QUOTED_MESSAGE_NOT_FOUND');
+    }
+}
 
-        const result = await whatsappService.sendTextMessage(channelId, to, message);
-        logger.info(`Mensagem enviada - Canal: ${channelId}, Para: ${to}`);
+/**
+ * Envio agendado (sendAt): grava o agendamento e responde com o id.
+ * O canal só precisa existir; a conexão é verificada na hora do envio.
+ */
+function scheduleMessage(res, channelStatus, type, payload, { sendAt, missedPolicy }) {
+    try {
+        const entry = schedulerService.schedule(channelStatus.channelId, type, payload, { sendAt, missedPolicy });
 
-        res.json({
+        return res.status(202).json({
             success: true,
-            data: result
+            data: {
+                scheduledId: entry.id,
+                status: entry.status,
+                sendAt: entry.sendAt,
+                missedPolicy: entry.missedPolicy
+            }
         });
     } catch (error) {
-        logger.error('Erro ao enviar mensagem:', error);
-
-        if (error.message === 'CHANNEL_NOT_CONNECTED') {
+        if (SCHEDULE_ERRORS[error.message]) {
             return res.status(400).json({
                 success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: 'Canal não está conectado'
+                error: error.message,
+                message: SCHEDULE_ERRORS[error.message]
             });
         }
+        throw error;
+    }
+}
 
-        if (error.message === 'INVALID_WHATSAPP_NUMBER') {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_WHATSAPP_NUMBER',
-                message: 'Número não existe no WhatsApp'
-            });
+/**
+ * Modo assíncrono (async: true): coloca o envio na fila e responde imediatamente com o id do job.
+ * Aceita canais reconectando, já que a fila aguarda a conexão voltar.
+ */
+function enqueueMessage(res, channelStatus, type, payload) {
+    const { channelId, status } = channelStatus;
+
+    if (status !== 'CONNECTED' && !sessionManager.isChannelRecovering(channelId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'CHANNEL_NOT_CONNECTED',
+            message: `Canal não está conectado. Status: ${status}`
+        });
+    }
+
+    const job = queueService.enqueue(channelId, type, payload);
+
+    return res.status(202).json({
+        success: true,
+        data: {
+            jobId: job.id,
+            status: job.status,
+            createdAt: job.createdAt
         }
+    });
+}
 
-        res.status(500).json({
+/**
+ * Agendado ou na fila, o conteúdo base64 vai para um arquivo em UPLOAD_DIR e o job guarda só a
+ * referência (upload), apagada quando o job termina
+ */
+async function storeBase64(payload) {
+    if (!payload.base64) {
+        return payload;
+    }
+
+    const { base64, ...rest } = payload;
+    return { ...rest, upload: await storeUpload(whatsappService.base64ToBuffer(base64)) };
+}
+
+/**
+ * Despacho comum dos tipos ricos: agendado (sendAt), fila (async) ou envio imediato com send()
+ */
+async function dispatchMessage(res, channelStatus, type, payload, { sendAt, missedPolicy, sendAsync }, send) {
+    if (sendAt !== undefined || sendAsync) {
+        const stored = await storeBase64(payload);
+        try {
+            return sendAt !== undefined
+                ? scheduleMessage(res, channelStatus, type, stored, { sendAt, missedPolicy })
+                : enqueueMessage(res, channelStatus, type, stored);
+        } finally {
+            // Recusado (ex: data inválida): o arquivo não será usado
+            if (res.statusCode !== 202 && stored !== payload) {
+                removeUpload(stored.upload);
+            }
+        }
+    }
+
+    if (!sessionManager.isChannelConnected(channelStatus.channelId)) {
+        return res.status(400).json({
             success: false,
-            error: 'INTERNAL_ERROR',
-            message: error.message
+            error: 'CHANNEL_NOT_CONNECTED',
+            message: `Canal não está conectado. Status: ${channelStatus.status}`
         });
     }
-});
+
+    const result = await send();
+    logger.info(`Mensagem (${type}) enviada - Canal: ${channelStatus.channelId}, Para: ${payload.to}`);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}
 
 /**
- * POST /messages/document
- * Enviar documento/arquivo
+ * Opções de mídia da requisição (ptt, viewOnce, gifPlayback, sticker, thumbnail), validadas
+ * para o tipo do arquivo. Lança INVALID_MEDIA_OPTIONS ou INVALID_THUMBNAIL.
  */
-router.post('/document', async (req, res) => {
-    try {
-        const { channelId, to, fileUrl, fileName, caption = '' } = req.body;
+function getMediaOptions(body, mediaType) {
+    const { ptt, viewOnce, gifPlayback, sticker, thumbnail, typing } = body;
+    return whatsappService.normalizeMediaOptions({ ptt, viewOnce, gifPlayback, sticker, thumbnail, typing }, mediaType);
+}
 
-        // Validações
-        if (!channelId || !to || !fileUrl || !fileName) {
-            return res.status(400).json({
-                success: false,
-                error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId, to, fileUrl e fileName são obrigatórios'
-            });
+/**
+ * Envio de arquivo recebido por multipart/form-data. Agendado ou na fila, o arquivo é mantido em
+ * disco até o job terminar; no envio imediato é apagado ao fim da resposta.
+ */
+async function sendUploadedFile(req, res, channelStatus, recipient, { caption, options, sendAt, missedPolicy, sendAsync }) {
+    const { upload } = req;
+    const payload = { to: recipient, upload, caption, options };
+
+    await dispatchMessage(res, channelStatus, 'upload', payload, { sendAt, missedPolicy, sendAsync }, () =>
+        whatsappService.sendUpload(channelStatus.channelId, recipient, upload, caption, options)
+    );
+
+    // 202: agendado ou na fila
+    if (res.statusCode === 202) {
+        keepUpload(req);
+    }
+}
+
+const validateSendMessage = compileSchema(sendMessageSchema);
+
+/**
+ * Erros de schema: MISSING_REQUIRED_FIELDS quando só faltam campos, VALIDATION_ERROR nos demais
+ * casos; details lista os campos com problema
+ */
+function sendValidationError(res, errors) {
+    const details = describeErrors(errors);
+    const onlyMissing = errors.every(error => ['required', 'anyOf'].includes(error.keyword));
+    const fields = [...new Set(details.map(detail => detail.field).filter(Boolean))];
+
+    return res.status(400).json({
+        success: false,
+        error: onlyMissing ? 'MISSING_REQUIRED_FIELDS' : 'VALIDATION_ERROR',
+        message: onlyMissing
+            ? `Campos obrigatórios ausentes: ${fields.join(', ')}`
+            : details.map(detail => (detail.field ? `${detail.field}: ${detail.message}` : detail.message)).join('; '),
+        details
+    });
+}
+
+// type -> job da fila e envio imediato, a partir do corpo já validado e do destino normalizado
+const MESSAGE_BUILDERS = {
+    text: ({ channelId, message, quoted, mentions, typing }, to) => {
+        const options = {
+            quoted,
+            mentions: mentions !== undefined ? whatsappService.toMentionJids(channelId, mentions) : undefined,
+            typing
+        };
+        return {
+            jobType: 'text',
+            payload: { to, message, ...options },
+            send: () => whatsappService.sendTextMessage(channelId, to, message, options)
+        };
+    },
+
+    image: (body, to) => {
+        const { channelId, imageUrl, base64, caption = '' } = body;
+        const options = getMediaOptions(body, 'image');
+
+        if (base64) {
+            return {
+                jobType: 'image-base64',
+                payload: { to, base64, caption, options },
+                send: () => whatsappService.sendImageBase64(channelId, to, base64, caption, options)
+            };
+        }
+        return {
+            jobType: 'image',
+            payload: { to, imageUrl, caption, options },
+            send: () => whatsappService.sendImage(channelId, to, imageUrl, caption, options)
+        };
+    },
+
+    document: (body, to) => {
+        const { channelId, fileUrl, base64, fileName, mimetype, caption = '' } = body;
+        const options = getMediaOptions(body, whatsappService.getMediaType(path.extname(fileName).toLowerCase()));
+
+        if (base64) {
+            return {
+                jobType: 'document-base64',
+                payload: { to, base64, fileName, mimetype, caption, options },
+                send: () => whatsappService.sendDocumentBase64(channelId, to, base64, fileName, mimetype, caption, options)
+            };
         }
+        return {
+            jobType: 'document',
+            payload: { to, fileUrl, fileName, caption, options },
+            send: () => whatsappService.sendDocument(channelId, to, fileUrl, fileName, caption, options)
+        };
+    },
+
+    location: ({ channelId, latitude, longitude, name, address, quoted, typing }, to) => {
+        const location = whatsappService.normalizeLocation({ latitude, longitude, name, address });
+        return {
+            jobType: 'location',
+            payload: { to, location, quoted, typing },
+            send: () => whatsappService.sendLocation(channelId, to, location, { quoted, typing })
+        };
+    },
+
+    contact: ({ channelId, contacts, quoted, typing }, to) => {
+        const normalized = whatsappService.normalizeContacts(contacts, whatsappService.getDefaultCountry(channelId));
+        return {
+            jobType: 'contact',
+            payload: { to, contacts: normalized, quoted, typing },
+            send: () => whatsappService.sendContacts(channelId, to, normalized, { quoted, typing })
+        };
+    },
+
+    poll: ({ channelId, name, options, selectableCount, quoted, typing }, to) => {
+        const poll = whatsappService.normalizePoll({ name, options, selectableCount });
+        return {
+            jobType: 'poll',
+            payload: { to, poll, quoted, typing },
+            send: () => whatsappService.sendPoll(channelId, to, poll, { quoted, typing })
+        };
+    }
+};
 
-        if (!whatsappService.isValidWhatsAppNumber(to)) {
+/**
+ * Reação: imediata, sem destino (vai para a conversa da mensagem reagida), fila ou agendamento
+ */
+async function sendReaction(res, channelStatus, { messageId, emoji }) {
+    if (!sessionManager.isChannelConnected(channelStatus.channelId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'CHANNEL_NOT_CONNECTED',
+            message: `Canal não está conectado. Status: ${channelStatus.status}`
+        });
+    }
+
+    const result = await whatsappService.sendReaction(channelStatus.channelId, messageId, emoji);
+
+    res.json({
+        success: true,
+        data: result
+    });
+}
+
+/**
+ * Envio de qualquer tipo de mensagem: valida o corpo pelo schema do type, confere canal, destino
+ * e mensagem citada e despacha (agendado, fila ou imediato)
+ */
+async function sendMessage(req, res) {
+    // Upload: o arquivo conta como a origem da mídia (campo file do schema)
+    const body = req.upload ? { ...req.body, file: req.upload.fileName } : req.body;
+
+    try {
+        if (!MESSAGE_TYPES.includes(body.type)) {
             return res.status(400).json({
                 success: false,
-                error: 'INVALID_NUMBER',
-                message: 'Número de WhatsApp inválido'
+                error: body.type === undefined ? 'MISSING_REQUIRED_FIELDS' : 'VALIDATION_ERROR',
+                message: `type deve ser um de: ${MESSAGE_TYPES.join(', ')}`,
+                details: [{ field: 'type', message: `deve ser um de: ${MESSAGE_TYPES.join(', ')}` }]
             });
         }
 
-        if (!fileUrl.startsWith('http://') && !fileUrl.startsWith('https://')) {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_URL',
-                message: 'URL deve começar com http:// ou https://'
-            });
+        if (!validateSendMessage(body)) {
+            return sendValidationError(res, validateSendMessage.errors);
         }
 
+        const { type, channelId, to, quoted, defaultCountry, caption = '', sendAt, missedPolicy, async: sendAsync = false } = body;
+
         const channelStatus = sessionManager.getChannelStatus(channelId);
         if (!channelStatus) {
             return res.status(404).json({
@@ -123,69 +410,122 @@ router.post('/document', async (req, res) => {
             });
         }
 
-        if (!sessionManager.isChannelConnected(channelId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: `Canal não está conectado. Status: ${channelStatus.status}`
-            });
+        if (type === 'reaction') {
+            return await sendReaction(res, channelStatus, body);
         }
 
-        const result = await whatsappService.sendDocument(channelId, to, fileUrl, fileName, caption);
-        logger.info(`Documento enviado - Canal: ${channelId}, Para: ${to}, Arquivo: ${fileName}`);
+        const recipient = resolveRecipient(res, channelId, to, defaultCountry);
+        if (!recipient) {
+            return;
+        }
 
-        res.json({
-            success: true,
-            data: result
-        });
-    } catch (error) {
-        logger.error('Erro ao enviar documento:', error);
+        assertQuotedMessage(channelId, quoted);
 
-        if (error.message === 'CHANNEL_NOT_CONNECTED') {
-            return res.status(400).json({
-                success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: 'Canal não está conectado'
-            });
-        }
+        if (req.upload) {
+            if (type === 'image' && req.upload.mediaType !== 'image') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_FILE_TYPE',
+                    message: 'O arquivo deve ser uma imagem (.jpg, .jpeg, .png, .gif, .webp)'
+                });
+            }
 
-        if (error.message === 'DOWNLOAD_FAILED') {
-            return res.status(400).json({
-                success: false,
-                error: 'DOWNLOAD_FAILED',
-                message: 'Não foi possível baixar o arquivo'
-            });
+            const options = getMediaOptions(body, req.upload.mediaType);
+            return await sendUploadedFile(req, res, channelStatus, recipient, { caption, options, sendAt, missedPolicy, sendAsync });
         }
 
-        res.status(500).json({
-            success: false,
-            error: 'INTERNAL_ERROR',
-            message: error.message
-        });
+        const { jobType, payload, send } = MESSAGE_BUILDERS[type](body, recipient);
+        await dispatchMessage(res, channelStatus, jobType, payload, { sendAt, missedPolicy, sendAsync }, send);
+    } catch (error) {
+        logger.error(`Erro ao enviar mensagem (${body.type}):`, error);
+        sendMessageError(res, error);
     }
-});
+}
+
+/**
+ * Rotas por tipo: mesmo envio de POST /messages, com o type definido pelo caminho
+ */
+function sendMessageAs(type) {
+    return (req, res) => {
+        req.body = { ...req.body, type };
+        return sendMessage(req, res);
+    };
+}
+
+/**
+ * POST /messages
+ * Enviar mensagem de qualquer tipo (type: text, image, document, location, contact, poll, reaction).
+ * image e document aceitam multipart/form-data com o arquivo no campo file.
+ */
+router.post('/', acceptUpload, requirePermission('send'), idempotent, sendMessage);
+
+/**
+ * POST /messages/text
+ * Enviar mensagem de texto
+ */
+router.post('/text', requirePermission('send'), idempotent, sendMessageAs('text'));
+
+/**
+ * POST /messages/document
+ * Enviar documento/arquivo por URL (fileUrl + fileName) ou upload (campo file)
+ */
+router.post('/document', acceptUpload, requirePermission('send'), idempotent, sendMessageAs('document'));
 
 /**
  * POST /messages/image
- * Enviar imagem via URL
+ * Enviar imagem por URL (imageUrl) ou upload (campo file)
  */
-router.post('/image', async (req, res) => {
+router.post('/image', acceptUpload, requirePermission('send'), idempotent, sendMessageAs('image'));
+
+/**
+ * POST /messages/image-base64
+ * Enviar imagem via Base64
+ */
+router.post('/image-base64', requirePermission('send'), idempotent, sendMessageAs('image'));
+
+/**
+ * POST /messages/document-base64
+ * Enviar documento/arquivo via Base64
+ */
+router.post('/document-base64', requirePermission('send'), idempotent, sendMessageAs('document'));
+
+/**
+ * POST /messages/location
+ * Enviar localização (pin no mapa)
+ */
+router.post('/location', requirePermission('send'), idempotent, sendMessageAs('location'));
+
+/**
+ * POST /messages/contact
+ * Enviar cartões de contato (vCard)
+ */
+router.post('/contact', requirePermission('send'), idempotent, sendMessageAs('contact'));
+
+/**
+ * POST /messages/poll
+ * Enviar enquete
+ */
+router.post('/poll', requirePermission('send'), idempotent, sendMessageAs('poll'));
+
+/**
+ * POST /messages/reaction
+ * Reagir com emoji a uma mensagem do histórico (emoji vazio remove a reação)
+ */
+router.post('/reaction', requirePermission('send'), idempotent, sendMessageAs('reaction'));
+
+/**
+ * POST /messages/check-number
+ * Verificar se número existe no WhatsApp
+ */
+router.post('/check-number', requirePermission('send', 'read'), idempotent, async (req, res) => {
     try {
-        const { channelId, to, imageUrl, caption = '' } = req.body;
+        const { channelId, number, defaultCountry } = req.body;
 
-        if (!channelId || !to || !imageUrl) {
+        if (!channelId || !number) {
             return res.status(400).json({
                 success: false,
                 error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId, to e imageUrl são obrigatórios'
-            });
-        }
-
-        if (!whatsappService.isValidWhatsAppNumber(to)) {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_NUMBER',
-                message: 'Número de WhatsApp inválido'
+                message: 'channelId e number são obrigatórios'
             });
         }
 
@@ -206,15 +546,22 @@ router.post('/image', async (req, res) => {
             });
         }
 
-        const result = await whatsappService.sendImage(channelId, to, imageUrl, caption);
-        logger.info(`Imagem enviada - Canal: ${channelId}, Para: ${to}`);
+        if (defaultCountry !== undefined && !isValidCountry(defaultCountry)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_COUNTRY',
+                message: 'defaultCountry deve ser um código de país ISO 3166-1 alfa-2 (ex: BR, PT, US)'
+            });
+        }
+
+        const result = await whatsappService.checkNumber(channelId, number, defaultCountry && defaultCountry.toUpperCase());
 
         res.json({
             success: true,
             data: result
         });
     } catch (error) {
-        logger.error('Erro ao enviar imagem:', error);
+        logger.error('Erro ao verificar número:', error);
         res.status(500).json({
             success: false,
             error: 'INTERNAL_ERROR',
@@ -224,26 +571,47 @@ router.post('/image', async (req, res) => {
 });
 
 /**
- * POST /messages/image-base64
- * Enviar imagem via Base64
+ * POST /messages/check-numbers
+ * Verificação em massa: JSON ({ channelId, numbers: [...] } ou { channelId, csv }) ou corpo
+ * text/csv com ?channelId=. Números já consultados vêm do cache.
  */
-router.post('/image-base64', async (req, res) => {
+router.post('/check-numbers', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), requirePermission('send', 'read'), idempotent, async (req, res) => {
     try {
-        const { channelId, to, base64, caption = '' } = req.body;
+        const isCsvBody = typeof req.body === 'string';
+        const { channelId, defaultCountry, numbers, csv } = isCsvBody
+            ? { ...req.query, csv: req.body }
+            : { ...req.body, channelId: req.body.channelId || req.query.channelId };
 
-        if (!channelId || !to || !base64) {
+        if (!channelId || (!numbers && !csv)) {
             return res.status(400).json({
                 success: false,
                 error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId, to e base64 são obrigatórios'
+                message: 'channelId e numbers (ou csv) são obrigatórios'
             });
         }
 
-        if (!whatsappService.isValidWhatsAppNumber(to)) {
+        if (numbers !== undefined && (!Array.isArray(numbers) || numbers.some(number => typeof number !== 'string' && typeof number !== 'number'))) {
             return res.status(400).json({
                 success: false,
-                error: 'INVALID_NUMBER',
-                message: 'Número de WhatsApp inválido'
+                error: 'INVALID_NUMBERS',
+                message: 'numbers deve ser uma lista de números'
+            });
+        }
+
+        const list = numbers ? numbers.map(String) : parseCsvNumbers(String(csv));
+        if (list.length === 0 || list.length > MAX_CHECK_NUMBERS) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_NUMBERS',
+                message: `Informe entre 1 e ${MAX_CHECK_NUMBERS} números por requisição`
+            });
+        }
+
+        if (defaultCountry !== undefined && !isValidCountry(defaultCountry)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_COUNTRY',
+                message: 'defaultCountry deve ser um código de país ISO 3166-1 alfa-2 (ex: BR, PT, US)'
             });
         }
 
@@ -264,73 +632,133 @@ router.post('/image-base64', async (req, res) => {
             });
         }
 
-        const result = await whatsappService.sendImageBase64(channelId, to, base64, caption);
-        logger.info(`Imagem (base64) enviada - Canal: ${channelId}, Para: ${to}`);
+        const result = await whatsappService.checkNumbers(channelId, list, defaultCountry && defaultCountry.toUpperCase());
 
         res.json({
             success: true,
             data: result
         });
     } catch (error) {
-        logger.error('Erro ao enviar imagem base64:', error);
-        res.status(500).json({
-            success: false,
-            error: 'INTERNAL_ERROR',
-            message: error.message
-        });
+        logger.error('Erro na verificação em massa:', error);
+        sendMessageError(res, error);
     }
 });
 
 /**
- * POST /messages/document-base64
- * Enviar documento/arquivo via Base64
+ * GET /messages/check-numbers/cache
+ * Estatísticas do cache de verificação de números (compartilhado por todos os canais)
  */
-router.post('/document-base64', async (req, res) => {
-    try {
-        const { channelId, to, base64, fileName, mimetype, caption = '' } = req.body;
+router.get('/check-numbers/cache', requireGlobalAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: numberCache.getStats()
+    });
+});
 
-        if (!channelId || !to || !base64 || !fileName) {
+/**
+ * DELETE /messages/check-numbers/cache
+ * Invalidar o cache: números em ?numbers=a,b (formato de envio) ou, sem filtro, o cache inteiro
+ */
+router.delete('/check-numbers/cache', requireGlobalAdmin, idempotent, (req, res) => {
+    const { numbers, defaultCountry } = req.query;
+    let digitsList = null;
+
+    if (numbers) {
+        const phones = String(numbers).split(',').map(number => parsePhoneNumber(number.trim(), resolveCountry(defaultCountry)));
+        const invalid = phones.find(phone => !phone.valid);
+        if (invalid) {
             return res.status(400).json({
                 success: false,
-                error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId, to, base64 e fileName são obrigatórios'
+                error: 'INVALID_NUMBER',
+                reason: invalid.reason,
+                message: `Número de WhatsApp inválido: ${invalid.message}`
             });
         }
+        digitsList = phones.map(phone => phone.digits);
+    }
 
-        if (!whatsappService.isValidWhatsAppNumber(to)) {
-            return res.status(400).json({
-                success: false,
-                error: 'INVALID_NUMBER',
-                message: 'Número de WhatsApp inválido'
-            });
+    const removed = numberCache.invalidate(digitsList);
+    logger.info(`Cache de números invalidado: ${removed} entradas removidas`);
+
+    res.json({
+        success: true,
+        data: { removed }
+    });
+});
+
+/**
+ * GET /messages/supported-types
+ * Listar tipos de arquivos suportados
+ */
+router.get('/supported-types', async (req, res) => {
+    const { available, version, voiceNote, sticker, thumbnail } = await getCapabilities();
+
+    res.json({
+        success: true,
+        data: {
+            images: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+            videos: ['.mp4', '.avi', '.mov'],
+            audio: ['.mp3', '.ogg', '.wav', '.m4a'],
+            documents: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.xml', '.zip'],
+            options: {
+                ptt: ['audio'],
+                gifPlayback: ['video'],
+                viewOnce: ['image', 'video'],
+                sticker: ['image', 'video'],
+                thumbnail: ['image', 'video', 'document']
+            },
+            // Sem ffmpeg: ptt só com .ogg (Opus), sticker só com .webp e thumbnail só em JPEG
+            conversions: {
+                ffmpeg: available,
+                ffmpegVersion: version,
+                voiceNote,
+                sticker,
+                thumbnail
+            }
         }
+    });
+});
 
-        const channelStatus = sessionManager.getChannelStatus(channelId);
-        if (!channelStatus) {
+/**
+ * GET /messages/:messageId/status
+ * Status de entrega/leitura de uma mensagem enviada
+ */
+router.get('/:messageId/status', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { channelId } = req.query;
+
+        const record = channelId
+            ? messageStore.getMessage(channelId, messageId)
+            : messageStore.findMessage(messageId);
+
+        if (!record || record.direction !== 'outbound') {
             return res.status(404).json({
                 success: false,
-                error: 'CHANNEL_NOT_FOUND',
-                message: 'Canal não encontrado'
+                error: 'MESSAGE_NOT_FOUND',
+                message: 'Mensagem enviada não encontrada'
             });
         }
 
-        if (!sessionManager.isChannelConnected(channelId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: `Canal não está conectado. Status: ${channelStatus.status}`
-            });
+        if (!canAccessChannel(req.apiKey, record.channelId)) {
+            return denyChannelAccess(res, record.channelId);
         }
 
-        const result = await whatsappService.sendDocumentBase64(channelId, to, base64, fileName, mimetype, caption);
-        logger.info(`Documento (base64) enviado - Canal: ${channelId}, Para: ${to}, Arquivo: ${fileName}`);
-
         res.json({
             success: true,
-            data: result
+            data: {
+                messageId: record.id,
+                channelId: record.channelId,
+                to: record.jid,
+                type: record.type,
+                status: record.status || null,
+                statusHistory: record.statusHistory || [],
+                sentAt: record.timestamp,
+                updatedAt: record.updatedAt
+            }
         });
     } catch (error) {
-        logger.error('Erro ao enviar documento base64:', error);
+        logger.error('Erro ao consultar status da mensagem:', error);
         res.status(500).json({
             success: false,
             error: 'INTERNAL_ERROR',
@@ -340,68 +768,78 @@ router.post('/document-base64', async (req, res) => {
 });
 
 /**
- * POST /messages/check-number
- * Verificar se número existe no WhatsApp
+ * Canal da mensagem: ?channelId / body.channelId ou busca no histórico de todos os canais.
+ * Responde 404/403 e retorna null se não encontrada ou fora do escopo da API Key.
  */
-router.post('/check-number', async (req, res) => {
-    try {
-        const { channelId, number } = req.body;
+function findMessageChannel(req, res) {
+    const { messageId } = req.params;
+    const channelId = req.query.channelId || req.body?.channelId;
 
-        if (!channelId || !number) {
-            return res.status(400).json({
-                success: false,
-                error: 'MISSING_REQUIRED_FIELDS',
-                message: 'channelId e number são obrigatórios'
-            });
-        }
+    const record = channelId
+        ? messageStore.getMessage(channelId, messageId)
+        : messageStore.findMessage(messageId);
 
-        const channelStatus = sessionManager.getChannelStatus(channelId);
-        if (!channelStatus) {
-            return res.status(404).json({
-                success: false,
-                error: 'CHANNEL_NOT_FOUND',
-                message: 'Canal não encontrado'
-            });
-        }
+    if (!record) {
+        res.status(404).json({
+            success: false,
+            error: 'MESSAGE_NOT_FOUND',
+            message: 'Mensagem não encontrada no histórico do canal'
+        });
+        return null;
+    }
 
-        if (!sessionManager.isChannelConnected(channelId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'CHANNEL_NOT_CONNECTED',
-                message: `Canal não está conectado. Status: ${channelStatus.status}`
-            });
+    if (!canAccessChannel(req.apiKey, record.channelId)) {
+        denyChannelAccess(res, record.channelId);
+        return null;
+    }
+
+    return record.channelId;
+}
+
+/**
+ * PATCH /messages/:messageId
+ * Editar o texto ou a legenda de uma mensagem enviada (dentro do prazo do WhatsApp)
+ */
+router.patch('/:messageId', requirePermission('send'), idempotent, async (req, res) => {
+    try {
+        const channelId = findMessageChannel(req, res);
+        if (!channelId) {
+            return;
         }
 
-        const result = await whatsappService.checkNumber(channelId, number);
+        const result = await whatsappService.editMessage(channelId, req.params.messageId, req.body.text);
 
         res.json({
             success: true,
             data: result
         });
     } catch (error) {
-        logger.error('Erro ao verificar número:', error);
-        res.status(500).json({
-            success: false,
-            error: 'INTERNAL_ERROR',
-            message: error.message
-        });
+        logger.error('Erro ao editar mensagem:', error);
+        sendMessageError(res, error);
     }
 });
 
 /**
- * GET /messages/supported-types
- * Listar tipos de arquivos suportados
+ * DELETE /messages/:messageId
+ * Apagar para todos uma mensagem enviada (dentro do prazo do WhatsApp)
  */
-router.get('/supported-types', (req, res) => {
-    res.json({
-        success: true,
-        data: {
-            images: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
-            videos: ['.mp4', '.avi', '.mov'],
-            audio: ['.mp3', '.ogg', '.wav', '.m4a'],
-            documents: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.xml', '.zip']
+router.delete('/:messageId', requirePermission('send'), idempotent, async (req, res) => {
+    try {
+        const channelId = findMessageChannel(req, res);
+        if (!channelId) {
+            return;
         }
-    });
+
+        const result = await whatsappService.revokeMessage(channelId, req.params.messageId);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Erro ao apagar mensagem:', error);
+        sendMessageError(res, error);
+    }
 });
 
 /**
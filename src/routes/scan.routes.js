@@ -0,0 +1,75 @@
+import express from 'express';
+import sessionManager from '../sessions/manager.js';
+import scanLinkService from '../services/scan-link.service.js';
+import { renderScanPage, renderMessagePage } from '../views/scan-page.js';
+import { logger } from '../utils/logger.js';
+
+// Rotas públicas (sem API Key): o acesso é liberado pelo token assinado do link
+const router = express.Router();
+
+/**
+ * GET /scan/:channelId?token=
+ * Página para escanear o QR Code (ou digitar o código de pareamento)
+ */
+router.get('/:channelId', (req, res) => {
+    const { channelId } = req.params;
+    const { token } = req.query;
+
+    if (!scanLinkService.verifyToken(channelId, token)) {
+        return res.status(401).send(renderMessagePage('Link inválido', 'Este link expirou ou não é válido. Solicite um novo link.'));
+    }
+
+    const channelStatus = sessionManager.getChannelStatus(channelId);
+    if (!channelStatus) {
+        return res.status(404).send(renderMessagePage('Canal não encontrado', 'O canal deste link não existe mais.'));
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.send(renderScanPage({ channelId, displayName: channelStatus.displayName, token }));
+});
+
+/**
+ * GET /scan/:channelId/state?token=
+ * Estado consultado pela página a cada poucos segundos
+ */
+router.get('/:channelId/state', (req, res) => {
+    try {
+        const { channelId } = req.params;
+
+        if (!scanLinkService.verifyToken(channelId, req.query.token)) {
+            return res.status(401).json({
+                success: false,
+                error: 'INVALID_SCAN_TOKEN',
+                message: 'Link expirado ou inválido'
+            });
+        }
+
+        const channelStatus = sessionManager.getChannelStatus(channelId);
+        if (!channelStatus) {
+            return res.status(404).json({
+                success: false,
+                error: 'CHANNEL_NOT_FOUND',
+                message: 'Canal não encontrado'
+            });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data: {
+                status: channelStatus.status,
+                qrCode: channelStatus.status === 'QRCODE' ? channelStatus.qrCode || null : null,
+                pairingCode: channelStatus.status === 'PAIRING' ? channelStatus.pairingCode || null : null
+            }
+        });
+    } catch (error) {
+        logger.error('Erro ao consultar estado do link de conexão:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+import express from 'express';
+import schedulerService from '../services/scheduler.service.js';
+import { requirePermission, canAccessChannel, denyChannelAccess } from '../middlewares/auth.middleware.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /scheduled
+ * Listar envios agendados (filtros: channelId, status)
+ */
+router.get('/', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const { channelId, status = 'scheduled' } = req.query;
+        const scheduled = schedulerService.listScheduled({ channelId, status: status === 'all' ? undefined : status })
+            .filter(entry => canAccessChannel(req.apiKey, entry.channelId))
+            .map(entry => schedulerService.describeScheduled(entry));
+
+        res.json({
+            success: true,
+            data: {
+                scheduled,
+                total: scheduled.length
+            }
+        });
+    } catch (error) {
+        logger.error('Erro ao listar envios agendados:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /scheduled/:scheduledId
+ * Consultar um envio agendado
+ */
+router.get('/:scheduledId', requirePermission('read', 'send'), (req, res) => {
+    try {
+        const entry = schedulerService.getScheduled(req.params.scheduledId);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'SCHEDULED_NOT_FOUND',
+                message: 'Envio agendado não encontrado'
+            });
+        }
+
+        if (!canAccessChannel(req.apiKey, entry.channelId)) {
+            return denyChannelAccess(res, entry.channelId);
+        }
+
+        res.json({
+            success: true,
+            data: schedulerService.describeScheduled(entry)
+        });
+    } catch (error) {
+        logger.error('Erro ao consultar envio agendado:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /scheduled/:scheduledId
+ * Cancelar um envio agendado
+ */
+router.delete('/:scheduledId', requirePermission('send'), (req, res) => {
+    try {
+        const existing = schedulerService.getScheduled(req.params.scheduledId);
+        if (existing && !canAccessChannel(req.apiKey, existing.channelId)) {
+            return denyChannelAccess(res, existing.channelId);
+        }
+
+        const entry = schedulerService.cancelScheduled(req.params.scheduledId);
+
+        res.json({
+            success: true,
+            data: schedulerService.describeScheduled(entry)
+        });
+    } catch (error) {
+        if (error.message === 'SCHEDULED_NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                error: 'SCHEDULED_NOT_FOUND',
+                message: 'Envio agendado não encontrado'
+            });
+        }
+
+        if (error.message === 'SCHEDULED_NOT_CANCELLABLE') {
+            return res.status(409).json({
+                success: false,
+                error: 'SCHEDULED_NOT_CANCELLABLE',
+                message: 'Envio já foi disparado ou cancelado'
+            });
+        }
+
+        logger.error('Erro ao cancelar envio agendado:', error);
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+export default router;
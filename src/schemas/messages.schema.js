@@ -0,0 +1,163 @@
+/**
+ * JSON Schemas do envio de mensagens (POST /messages), usados na validação das requisições
+ * (utils/validation.js) e na geração do OpenAPI (docs/openapi.js). Regras que dependem do canal
+ * ou do histórico (número válido, mensagem citada, duplicidade de opções) continuam no WhatsAppService.
+ */
+
+const ENVELOPE = {
+    channelId: { type: 'string', minLength: 1, description: 'Canal que envia a mensagem', example: 'minha-empresa' },
+    to: {
+        type: 'string',
+        minLength: 1,
+        description: 'Número (E.164 ou nacional, com o país padrão) ou JID de grupo',
+        example: '5511999999999'
+    },
+    defaultCountry: {
+        type: 'string',
+        pattern: '^[A-Za-z]{2}$',
+        description: 'País (ISO 3166-1 alfa-2) para números sem código do país; padrão: o do canal',
+        example: 'BR'
+    },
+    sendAt: {
+        type: 'string',
+        description: 'Agenda o envio (ISO 8601 com fuso, ex: 2025-01-31T09:00:00-03:00)'
+    },
+    missedPolicy: {
+        type: 'string',
+        enum: ['send', 'drop'],
+        description: 'Agendamento perdido durante indisponibilidade: enviar atrasado ou descartar'
+    },
+    async: { type: 'boolean', description: 'Envia pela fila do canal e responde 202 com o id do job' },
+    typing: { type: 'boolean', description: 'Mostra "digitando..." antes do envio; padrão: settings.typing.enabled do canal' }
+};
+
+const QUOTED = {
+    type: 'string',
+    description: 'Id de uma mensagem do histórico da mesma conversa, para responder citando'
+};
+
+const MEDIA_OPTIONS = {
+    ptt: { type: 'boolean', description: 'Nota de voz (áudio)' },
+    viewOnce: { type: 'boolean', description: 'Visualização única (imagem ou vídeo)' },
+    gifPlayback: { type: 'boolean', description: 'Vídeo em loop, como GIF' },
+    sticker: { type: 'boolean', description: 'Envia como figurinha (imagem ou vídeo)' },
+    thumbnail: { type: 'string', description: 'Miniatura em base64' }
+};
+
+const FILE = { type: 'string', description: 'Arquivo enviado por multipart/form-data' };
+
+function messageSchema(type, description, properties, required, extra = {}) {
+    return {
+        type: 'object',
+        description,
+        properties: {
+            type: { type: 'string', enum: [type] },
+            ...(type === 'reaction' ? { channelId: ENVELOPE.channelId } : ENVELOPE),
+            ...properties
+        },
+        required: ['type', 'channelId', ...(type === 'reaction' ? [] : ['to']), ...required],
+        ...extra
+    };
+}
+
+// type -> schema da mensagem (nome do componente no OpenAPI em MESSAGE_SCHEMA_NAMES)
+export const MESSAGE_SCHEMAS = {
+    text: messageSchema('text', 'Mensagem de texto', {
+        message: { type: 'string', minLength: 1, example: 'Olá, tudo bem?' },
+        quoted: QUOTED,
+        mentions: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Números mencionados (use @numero no texto)'
+        }
+    }, ['message']),
+
+    image: messageSchema('image', 'Imagem por URL, base64 ou upload (campo file)', {
+        imageUrl: { type: 'string', pattern: '^https?://', example: 'https://exemplo.com/imagem.jpg' },
+        base64: { type: 'string', minLength: 1, description: 'Imagem em base64 (aceita data URL)' },
+        file: FILE,
+        caption: { type: 'string' },
+        ...MEDIA_OPTIONS
+    }, [], {
+        anyOf: [{ required: ['imageUrl'] }, { required: ['base64'] }, { required: ['file'] }]
+    }),
+
+    document: messageSchema('document', 'Arquivo (documento, vídeo, áudio...) por URL, base64 ou upload; o tipo vem da extensão de fileName', {
+        fileUrl: { type: 'string', pattern: '^https?://', example: 'https://exemplo.com/arquivo.pdf' },
+        base64: { type: 'string', minLength: 1, description: 'Arquivo em base64 (aceita data URL)' },
+        file: FILE,
+        fileName: { type: 'string', minLength: 1, example: 'documento.pdf' },
+        mimetype: { type: 'string', description: 'Apenas com base64; padrão: pela extensão de fileName' },
+        caption: { type: 'string' },
+        ...MEDIA_OPTIONS
+    }, [], {
+        anyOf: [{ required: ['fileUrl', 'fileName'] }, { required: ['base64', 'fileName'] }, { required: ['file'] }]
+    }),
+
+    location: messageSchema('location', 'Localização (pin no mapa)', {
+        latitude: { type: 'number', minimum: -90, maximum: 90, example: -23.5613 },
+        longitude: { type: 'number', minimum: -180, maximum: 180, example: -46.6565 },
+        name: { type: 'string' },
+        address: { type: 'string' },
+        quoted: QUOTED
+    }, ['latitude', 'longitude']),
+
+    contact: messageSchema('contact', 'Cartões de contato (vCard)', {
+        contacts: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    phone: { type: 'string', minLength: 1 },
+                    organization: { type: 'string' },
+                    email: { type: 'string' }
+                },
+                required: ['name', 'phone']
+            }
+        },
+        quoted: QUOTED
+    }, ['contacts']),
+
+    poll: messageSchema('poll', 'Enquete', {
+        name: { type: 'string', minLength: 1, example: 'Melhor horário para a reunião?' },
+        options: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 12,
+            items: { type: 'string', minLength: 1 },
+            example: ['Manhã', 'Tarde']
+        },
+        selectableCount: { type: 'integer', minimum: 1, description: 'Opções que cada pessoa pode marcar (padrão 1)' },
+        quoted: QUOTED
+    }, ['name', 'options']),
+
+    reaction: messageSchema('reaction', 'Reação com emoji a uma mensagem do histórico (sem to; emoji vazio remove a reação)', {
+        messageId: { type: 'string', minLength: 1 },
+        emoji: { type: 'string', maxLength: 32, example: '👍' }
+    }, ['messageId', 'emoji'])
+};
+
+export const MESSAGE_TYPES = Object.keys(MESSAGE_SCHEMAS);
+
+export const MESSAGE_SCHEMA_NAMES = {
+    text: 'TextMessage',
+    image: 'ImageMessage',
+    document: 'DocumentMessage',
+    location: 'LocationMessage',
+    contact: 'ContactMessage',
+    poll: 'PollMessage',
+    reaction: 'ReactionMessage'
+};
+
+/**
+ * Corpo de POST /messages: um dos schemas acima, escolhido pelo campo type
+ */
+export const sendMessageSchema = {
+    type: 'object',
+    discriminator: { propertyName: 'type' },
+    required: ['type'],
+    oneOf: Object.values(MESSAGE_SCHEMAS)
+};
@@ -0,0 +1,342 @@
+import fs from 'fs';
+import { MESSAGE_SCHEMAS, MESSAGE_SCHEMA_NAMES } from './messages.schema.js';
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Rotas antigas de envio -> type equivalente em POST /messages
+const ALIASES = {
+    '/messages/text': 'text',
+    '/messages/image': 'image',
+    '/messages/image-base64': 'image',
+    '/messages/document': 'document',
+    '/messages/document-base64': 'document',
+    '/messages/location': 'location',
+    '/messages/contact': 'contact',
+    '/messages/poll': 'poll',
+    '/messages/reaction': 'reaction'
+};
+
+// Aceitam o arquivo no campo file (multipart/form-data)
+const UPLOAD_TYPES = ['image', 'document'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const IDEMPOTENCY_KEY = { $ref: '#/components/parameters/IdempotencyKey' };
+
+function json(schema) {
+    return { 'application/json': { schema } };
+}
+
+function errorResponse(description) {
+    return { description, content: json(ref('Error')) };
+}
+
+const SEND_RESPONSES = {
+    200: { description: 'Mensagem enviada', content: json(ref('SendResult')) },
+    202: { description: 'Agendada (sendAt) ou na fila (async)', content: json(ref('Accepted')) },
+    400: errorResponse('Requisição inválida (VALIDATION_ERROR, MISSING_REQUIRED_FIELDS, INVALID_NUMBER, CHANNEL_NOT_CONNECTED...)'),
+    403: errorResponse('API Key sem permissão ou sem acesso ao canal'),
+    404: errorResponse('Canal ou mensagem não encontrados'),
+    409: errorResponse('Idempotency-Key já usada com outra requisição (IDEMPOTENCY_KEY_REUSED)'),
+    413: errorResponse('Arquivo maior que o limite'),
+    422: errorResponse('Conteúdo do arquivo não corresponde ao tipo ou não pôde ser convertido'),
+    429: {
+        description: 'Limite de envios do canal atingido (RATE_LIMITED); limit informa qual',
+        headers: { 'Retry-After': { description: 'Segundos até o envio ser permitido', schema: { type: 'integer' } } },
+        content: json(ref('Error'))
+    }
+};
+
+/**
+ * Schema sem o campo type, para as rotas antigas em que o tipo vem do caminho
+ */
+function withoutType(schema) {
+    const { type, ...properties } = schema.properties;
+    return { ...schema, properties, required: schema.required.filter(field => field !== 'type') };
+}
+
+/**
+ * Variante multipart/form-data: o campo file passa a ser o arquivo binário
+ */
+function asMultipart(schema) {
+    return {
+        ...schema,
+        properties: { ...schema.properties, file: { type: 'string', format: 'binary' } }
+    };
+}
+
+function sendMessagePaths() {
+    const paths = {
+        '/messages': {
+            post: {
+                tags: ['Mensagens'],
+                summary: 'Enviar mensagem',
+                description: 'Envio de qualquer tipo de mensagem, escolhido pelo campo type. ' +
+                    'image e document também aceitam multipart/form-data com o arquivo no campo file.',
+                operationId: 'sendMessage',
+                parameters: [IDEMPOTENCY_KEY],
+                requestBody: {
+                    required: true,
+                    content: {
+                        ...json(ref('SendMessage')),
+                        'multipart/form-data': {
+                            schema: {
+                                oneOf: UPLOAD_TYPES.map(type => ref(`${MESSAGE_SCHEMA_NAMES[type]}Upload`)),
+                                discriminator: { propertyName: 'type' }
+                            }
+                        }
+                    }
+                },
+                responses: SEND_RESPONSES
+            }
+        }
+    };
+
+    for (const [path, type] of Object.entries(ALIASES)) {
+        const schema = withoutType(MESSAGE_SCHEMAS[type]);
+        const content = json(schema);
+        if (UPLOAD_TYPES.includes(type) && !path.endsWith('-base64')) {
+            content['multipart/form-data'] = { schema: asMultipart(schema) };
+        }
+
+        paths[path] = {
+            post: {
+                tags: ['Mensagens'],
+                summary: `Enviar ${type} (equivale a POST /messages com type "${type}")`,
+                operationId: `send${path.split('/').pop().replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`,
+                parameters: [IDEMPOTENCY_KEY],
+                requestBody: { required: true, content },
+                responses: SEND_RESPONSES
+            }
+        };
+    }
+
+    return paths;
+}
+
+function messagePaths() {
+    const messageId = { name: 'messageId', in: 'path', required: true, schema: { type: 'string' } };
+    const channelIdQuery = {
+        name: 'channelId',
+        in: 'query',
+        schema: { type: 'string' },
+        description: 'Canal da mensagem (opcional, acelera a busca)'
+    };
+
+    return {
+        '/messages/{messageId}': {
+            patch: {
+                tags: ['Mensagens'],
+                summary: 'Editar texto ou legenda de uma mensagem enviada',
+                operationId: 'editMessage',
+                parameters: [messageId, IDEMPOTENCY_KEY],
+                requestBody: {
+                    required: true,
+                    content: json({
+                        type: 'object',
+                        properties: { channelId: { type: 'string' }, text: { type: 'string', minLength: 1 } },
+                        required: ['text']
+                    })
+                },
+                responses: {
+                    200: { description: 'Mensagem editada', content: json(ref('SendResult')) },
+                    404: errorResponse('Mensagem não encontrada'),
+                    409: errorResponse('Mensagem apagada, prazo de edição expirado ou Idempotency-Key reusada')
+                }
+            },
+            delete: {
+                tags: ['Mensagens'],
+                summary: 'Apagar para todos uma mensagem enviada',
+                operationId: 'revokeMessage',
+                parameters: [messageId, channelIdQuery, IDEMPOTENCY_KEY],
+                responses: {
+                    200: { description: 'Mensagem apagada', content: json(ref('SendResult')) },
+                    404: errorResponse('Mensagem não encontrada'),
+                    409: errorResponse('Mensagem já apagada, prazo expirado ou Idempotency-Key reusada')
+                }
+            }
+        },
+        '/messages/{messageId}/status': {
+            get: {
+                tags: ['Mensagens'],
+                summary: 'Status de entrega/leitura de uma mensagem enviada',
+                operationId: 'getMessageStatus',
+                parameters: [messageId, channelIdQuery],
+                responses: {
+                    200: { description: 'Status da mensagem', content: json(ref('SendResult')) },
+                    404: errorResponse('Mensagem não encontrada')
+                }
+            }
+        },
+        '/messages/check-number': {
+            post: {
+                tags: ['Números'],
+                summary: 'Verificar se um número tem WhatsApp',
+                operationId: 'checkNumber',
+                parameters: [IDEMPOTENCY_KEY],
+                requestBody: {
+                    required: true,
+                    content: json({
+                        type: 'object',
+                        properties: {
+                            channelId: { type: 'string' },
+                            number: { type: 'string' },
+                            defaultCountry: { type: 'string', pattern: '^[A-Za-z]{2}$' }
+                        },
+                        required: ['channelId', 'number']
+                    })
+                },
+                responses: {
+                    200: { description: 'Resultado da verificação', content: json(ref('SendResult')) },
+                    400: errorResponse('Requisição inválida'),
+                    409: errorResponse('Idempotency-Key já usada com outra requisição')
+                }
+            }
+        },
+        '/messages/check-numbers': {
+            post: {
+                tags: ['Números'],
+                summary: 'Verificar números em massa (JSON ou text/csv com ?channelId=)',
+                operationId: 'checkNumbers',
+                parameters: [IDEMPOTENCY_KEY],
+                requestBody: {
+                    required: true,
+                    content: {
+                        ...json({
+                            type: 'object',
+                            properties: {
+                                channelId: { type: 'string' },
+                                numbers: { type: 'array', items: { type: 'string' } },
+                                csv: { type: 'string' },
+                                defaultCountry: { type: 'string', pattern: '^[A-Za-z]{2}$' }
+                            },
+                            required: ['channelId']
+                        }),
+                        'text/csv': { schema: { type: 'string' } }
+                    }
+                },
+                responses: {
+                    200: { description: 'Resultado por número e resumo', content: json(ref('SendResult')) },
+                    400: errorResponse('Requisição inválida'),
+                    409: errorResponse('Idempotency-Key já usada com outra requisição')
+                }
+            }
+        },
+        '/messages/supported-types': {
+            get: {
+                tags: ['Mensagens'],
+                summary: 'Extensões, opções de mídia e conversões disponíveis',
+                operationId: 'getSupportedTypes',
+                responses: {
+                    200: { description: 'Tipos suportados', content: json(ref('SendResult')) }
+                }
+            }
+        }
+    };
+}
+
+function components() {
+    const schemas = {};
+    for (const [type, schema] of Object.entries(MESSAGE_SCHEMAS)) {
+        schemas[MESSAGE_SCHEMA_NAMES[type]] = schema;
+    }
+    for (const type of UPLOAD_TYPES) {
+        schemas[`${MESSAGE_SCHEMA_NAMES[type]}Upload`] = asMultipart(MESSAGE_SCHEMAS[type]);
+    }
+
+    schemas.SendMessage = {
+        oneOf: Object.values(MESSAGE_SCHEMA_NAMES).map(ref),
+        discriminator: {
+            propertyName: 'type',
+            mapping: Object.fromEntries(Object.entries(MESSAGE_SCHEMA_NAMES)
+                .map(([type, name]) => [type, `#/components/schemas/${name}`]))
+        }
+    };
+
+    schemas.SendResult = {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: { type: 'object', additionalProperties: true }
+        }
+    };
+
+    schemas.Accepted = {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data: {
+                type: 'object',
+                properties: {
+                    jobId: { type: 'string', description: 'Envio na fila (async)' },
+                    scheduledId: { type: 'string', description: 'Envio agendado (sendAt)' },
+                    status: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    sendAt: { type: 'string', format: 'date-time' },
+                    missedPolicy: { type: 'string', enum: ['send', 'drop'] }
+                }
+            }
+        }
+    };
+
+    schemas.Error = {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string', example: 'VALIDATION_ERROR' },
+            message: { type: 'string' },
+            limit: {
+                type: 'string',
+                enum: ['rate', 'hourly', 'daily', 'new_contacts_hourly', 'new_contacts_daily'],
+                description: 'Limite atingido (RATE_LIMITED)'
+            },
+            retryAfter: { type: 'integer', description: 'Segundos até o envio ser permitido (RATE_LIMITED)' },
+            details: {
+                type: 'array',
+                description: 'Erros de validação por campo',
+                items: {
+                    type: 'object',
+                    properties: { field: { type: 'string', nullable: true }, message: { type: 'string' } }
+                }
+            }
+        },
+        required: ['success', 'error', 'message']
+    };
+
+    return {
+        schemas,
+        parameters: {
+            IdempotencyKey: {
+                name: 'Idempotency-Key',
+                in: 'header',
+                schema: { type: 'string', minLength: 1, maxLength: 255 },
+                description: 'Repetições com a mesma chave devolvem a primeira resposta (header Idempotent-Replayed), sem processar de novo'
+            }
+        },
+        securitySchemes: {
+            ApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+            Bearer: { type: 'http', scheme: 'bearer', description: 'A API Key como token: Authorization: Bearer <key>' }
+        }
+    };
+}
+
+let spec = null;
+
+/**
+ * Documento OpenAPI 3.0 do envio de mensagens, gerado a partir dos JSON Schemas da validação
+ */
+export function getOpenApiSpec() {
+    if (!spec) {
+        spec = {
+            openapi: '3.0.3',
+            info: {
+                title: 'MGA WhatsApp API',
+                version: pkg.version,
+                description: pkg.description
+            },
+            security: [{ ApiKey: [] }, { Bearer: [] }],
+            paths: { ...sendMessagePaths(), ...messagePaths() },
+            components: components()
+        };
+    }
+    return spec;
+}
@@ -1,6 +1,18 @@
 import app from './app.js';
 import { logger } from './utils/logger.js';
 import sessionManager from './sessions/manager.js';
+import queueService from './services/queue.service.js';
+import campaignService from './services/campaign.service.js';
+import schedulerService from './services/scheduler.service.js';
+import { DATA_DIR, flushPendingSaves } from './utils/store.js';
+import { getAuthStore } from './sessions/auth/index.js';
+import channelRegistry from './sessions/registry.js';
+import apiKeyService from './services/api-key.service.js';
+import webhookService from './services/webhook.service.js';
+import mediaService from './services/media.service.js';
+import idempotencyService from './services/idempotency.service.js';
+import messageStore from './services/message-store.service.js';
+import { attachEventsWebSocket, closeEventStreams } from './routes/events.routes.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -10,7 +22,8 @@ const HOST = process.env.HOST || '0.0.0.0'; // 0.0.0.0 para funcionar em cloud (
 function createRequiredDirectories() {
     const directories = [
         path.join('src', 'channels'),
-        path.join('logs')
+        path.join('logs'),
+        DATA_DIR
     ];
 
     directories.forEach(dir => {
@@ -22,15 +35,18 @@ function createRequiredDirectories() {
 }
 
 async function restoreExistingSessions() {
-    const channelsDir = path.join('src', 'channels');
-
-    if (!fs.existsSync(channelsDir)) {
-        return;
+    const authStore = await getAuthStore();
+    const authChannels = await authStore.listChannels();
+    const registeredChannels = channelRegistry.list().map(channel => channel.channelId);
+
+    // Canais cadastrados sem credenciais voltam como LOGGED_OUT, mantendo a configuração
+    for (const channelId of registeredChannels.filter(id => !authChannels.includes(id))) {
+        sessionManager.loadChannel(channelId);
+        logger.info(`Canal ${channelId} carregado sem sessão ativa (requer novo QR Code)`);
     }
 
-    const channels = fs.readdirSync(channelsDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
+    // Canais com credenciais são restaurados, cadastrados ou não no registro
+    const channels = authChannels;
 
     if (channels.length === 0) {
         logger.info('Nenhuma sessão anterior encontrada para restaurar');
@@ -40,16 +56,12 @@ async function restoreExistingSessions() {
     logger.info(`🔄 Encontradas ${channels.length} sessão(ões) para restaurar...`);
 
     for (const channelId of channels) {
-        const authPath = path.join(channelsDir, channelId, 'auth_info');
-
-        if (fs.existsSync(authPath) && fs.readdirSync(authPath).length > 0) {
-            try {
-                logger.info(`🔄 Restaurando sessão: ${channelId}`);
-                await sessionManager.restoreSession(channelId);
-                logger.info(`✅ Sessão ${channelId} restaurada`);
-            } catch (error) {
-                logger.error(`❌ Erro ao restaurar sessão ${channelId}:`, error.message);
-            }
+        try {
+            logger.info(`🔄 Restaurando sessão: ${channelId}`);
+            await sessionManager.restoreSession(channelId);
+            logger.info(`✅ Sessão ${channelId} restaurada`);
+        } catch (error) {
+            logger.error(`❌ Erro ao restaurar sessão ${channelId}:`, error.message);
         }
     }
 }
@@ -58,9 +70,22 @@ function setupGracefulShutdown(server) {
     const shutdown = (signal) => {
         logger.info(`Recebido sinal ${signal}, iniciando shutdown graceful...`);
 
-        server.close(() => {
+        // Streams de eventos mantêm conexões abertas e impediriam o server.close
+        closeEventStreams();
+
+        server.close(async () => {
             logger.info('Servidor HTTP fechado');
 
+            try {
+                const authStore = await getAuthStore();
+                await authStore.close();
+            } catch (error) {
+                logger.error('Erro ao fechar armazenamento de autenticação:', error.message);
+            }
+
+            // Alterações agendadas com saveSoon() (ex: progresso das campanhas) ainda não gravadas
+            flushPendingSaves();
+
             // Aqui você pode adicionar limpeza adicional se necessário
             // Por exemplo, fechar conexões de banco de dados, fechar sessões do WhatsApp, etc.
 
@@ -70,6 +95,7 @@ function setupGracefulShutdown(server) {
 
         setTimeout(() => {
             logger.error('Forçando fechamento do servidor após timeout');
+            flushPendingSaves();
             process.exit(1);
         }, 10000);
     };
@@ -104,9 +130,18 @@ process.on('uncaughtException', (error) => {
 async function startServer() {
     try {
         createRequiredDirectories();
+        apiKeyService.bootstrap();
+        webhookService.start();
+        mediaService.start();
+        idempotencyService.start();
+        messageStore.start();
 
         await restoreExistingSessions();
 
+        queueService.start();
+        campaignService.start();
+        schedulerService.start();
+
         const server = app.listen(PORT, HOST, () => {
             logger.info(`🚀 Servidor MGA WhatsApp API iniciado`);
             logger.info(`📡 Servidor rodando em http://${HOST}:${PORT}`);
@@ -126,6 +161,7 @@ async function startServer() {
             logger.info('✅ API pronta para receber requisições!');
         });
 
+        attachEventsWebSocket(server);
         setupGracefulShutdown(server);
 
         server.timeout = 300000; // 5 minutos
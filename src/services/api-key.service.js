@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { JsonStore, DATA_DIR } from '../utils/store.js';
+import { logger } from '../utils/logger.js';
+
+export const PERMISSIONS = ['read', 'send', 'admin'];
+
+// Atalhos aceitos em "role" na criação da chave
+export const ROLES = {
+    admin: ['read', 'send', 'admin'],
+    'send-only': ['send'],
+    'read-only': ['read'],
+    'read-send': ['read', 'send']
+};
+
+// Intervalo mínimo entre gravações de lastUsedAt, para não regravar o arquivo a cada requisição
+const LAST_USED_WRITE_INTERVAL_MS = 60000;
+
+/**
+ * Chaves de API com escopo por canal e permissão. Apenas o hash SHA-256 da chave é gravado
+ * (DATA_DIR/api-keys.json); o valor completo só é exibido na criação e na rotação.
+ * A variável API_KEY, quando definida, continua valendo como chave administradora global.
+ */
+class ApiKeyService {
+    constructor() {
+        this.store = new JsonStore('api-keys.json'); // keyId -> registro
+        this.masterKey = process.env.API_KEY || null;
+    }
+
+    /**
+     * Sem API_KEY e sem nenhuma chave cadastrada, gera uma chave administradora inicial. Ela é
+     * gravada apenas em DATA_DIR/admin-key.txt (permissão 0600), nunca nos logs: o arquivo deve
+     * ser lido e apagado pelo administrador.
+     */
+    bootstrap() {
+        if (this.masterKey || Object.keys(this.store.load()).length > 0) {
+            return;
+        }
+
+        const { key } = this.createKey({ name: 'admin inicial', role: 'admin', channels: ['*'] });
+        const filePath = path.join(DATA_DIR, 'admin-key.txt');
+
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.rmSync(filePath, { force: true });
+        fs.writeFileSync(filePath, `${key}\n`, { mode: 0o600, flag: 'wx' });
+        logger.warn(`Nenhuma API Key configurada. Chave administradora gerada em ${filePath}; guarde-a e apague o arquivo`);
+    }
+
+    hash(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    generateKey() {
+        return `mga_${crypto.randomBytes(24).toString('base64url')}`;
+    }
+
+    resolvePermissions({ role, permissions }) {
+        if (role !== undefined) {
+            if (!ROLES[role]) {
+                throw new Error('INVALID_ROLE');
+            }
+            return ROLES[role];
+        }
+
+        if (!Array.isArray(permissions) || permissions.length === 0 || permissions.some(p => !PERMISSIONS.includes(p))) {
+            throw new Error('INVALID_PERMISSIONS');
+        }
+        return [...new Set(permissions)];
+    }
+
+    createKey({ name, role, permissions, channels }) {
+        if (!Array.isArray(channels) || channels.length === 0 || channels.some(c => typeof c !== 'string')) {
+            throw new Error('INVALID_CHANNELS');
+        }
+
+        const key = this.generateKey();
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            name: name || 'sem nome',
+            prefix: key.slice(0, 10),
+            hash: this.hash(key),
+            permissions: this.resolvePermissions({ role, permissions }),
+            channels: channels.includes('*') ? ['*'] : [...new Set(channels)],
+            createdAt: now,
+            updatedAt: now,
+            rotatedAt: null,
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.store.load()[record.id] = record;
+        this.store.save();
+
+        logger.info(`API Key ${record.id} (${record.name}) criada`);
+        return { ...this.describeKey(record), key };
+    }
+
+    getKey(keyId) {
+        return this.store.load()[keyId] || null;
+    }
+
+    listKeys() {
+        return Object.values(this.store.load())
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(record => this.describeKey(record));
+    }
+
+    rotateKey(keyId) {
+        const record = this.requireActiveKey(keyId);
+        const key = this.generateKey();
+        const now = new Date().toISOString();
+
+        Object.assign(record, {
+            prefix: key.slice(0, 10),
+            hash: this.hash(key),
+            rotatedAt: now,
+            updatedAt: now
+        });
+        this.store.save();
+
+        logger.info(`API Key ${record.id} (${record.name}) rotacionada`);
+        return { ...this.describeKey(record), key };
+    }
+
+    revokeKey(keyId) {
+        const record = this.requireActiveKey(keyId);
+        const now = new Date().toISOString();
+
+        Object.assign(record, { revokedAt: now, updatedAt: now });
+        this.store.save();
+
+        logger.info(`API Key ${record.id} (${record.name}) revogada`);
+        return this.describeKey(record);
+    }
+
+    requireActiveKey(keyId) {
+        const record = this.getKey(keyId);
+        if (!record) {
+            throw new Error('API_KEY_NOT_FOUND');
+        }
+        if (record.revokedAt) {
+            throw new Error('API_KEY_REVOKED');
+        }
+        return record;
+    }
+
+    /**
+     * Resolve a chave recebida na requisição. Retorna o contexto de acesso ou null se inválida/revogada.
+     */
+    authenticate(rawKey) {
+        if (!rawKey) {
+            return null;
+        }
+
+        if (this.masterKey && this.safeEqual(rawKey, this.masterKey)) {
+            return this.masterAccess();
+        }
+
+        const hash = this.hash(rawKey);
+        const record = Object.values(this.store.load()).find(r => this.safeEqual(r.hash, hash));
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > LAST_USED_WRITE_INTERVAL_MS) {
+            record.lastUsedAt = new Date(now).toISOString();
+            this.store.save();
+        }
+
+        return this.toAccess(record);
+    }
+
+    /**
+     * Contexto de acesso atual de uma chave já autenticada antes (ex: ticket do WebSocket), pelo id.
+     * Retorna null se a chave foi revogada ou removida nesse meio tempo.
+     */
+    authenticateId(keyId) {
+        if (keyId === 'env') {
+            return this.masterKey ? this.masterAccess() : null;
+        }
+
+        const record = this.getKey(keyId);
+        return record && !record.revokedAt ? this.toAccess(record) : null;
+    }
+
+    masterAccess() {
+        return { id: 'env', name: 'API_KEY', permissions: ROLES.admin, channels: ['*'] };
+    }
+
+    toAccess(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            permissions: record.permissions,
+            channels: record.channels
+        };
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(a);
+        const bufferB = Buffer.from(b);
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    describeKey(record) {
+        const { hash, ...data } = record;
+        return { ...data, status: record.revokedAt ? 'revoked' : 'active' };
+    }
+}
+
+export default new ApiKeyService();
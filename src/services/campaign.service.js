@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import whatsappService from './whatsapp.service.js';
+import eventBus from './event-bus.service.js';
+import sessionManager from '../sessions/manager.js';
+import { JsonStore, DATA_DIR } from '../utils/store.js';
+import { parsePhoneNumber } from '../utils/phone.js';
+import { logger } from '../utils/logger.js';
+
+const MESSAGE_TYPES = ['text', 'image', 'document'];
+const MESSAGE_TEXT_FIELDS = ['text', 'caption', 'imageUrl', 'fileUrl', 'fileName'];
+const FINAL_STATUSES = ['completed', 'cancelled'];
+
+// Limite de espera por um setTimeout; agendamentos mais distantes são reavaliados
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Campanhas de envio em massa. Cada campanha é gravada em DATA_DIR/campaigns/<id>.json
+ * com o resultado de cada destinatário, e o envio reutiliza os métodos do WhatsAppService.
+ */
+class CampaignService {
+    constructor() {
+        this.dir = 'campaigns';
+        this.stores = new Map(); // campaignId -> JsonStore
+        this.runners = new Set(); // campanhas com loop de envio ativo
+        this.timers = new Map(); // campaignId -> timeout do início agendado
+        this.DEFAULT_DELAY_MS = parseInt(process.env.CAMPAIGN_DELAY_MS) || 3000;
+        this.DEFAULT_JITTER_MS = parseInt(process.env.CAMPAIGN_JITTER_MS) || 2000;
+        this.RECONNECT_WAIT_MS = 15000;
+        this.SAVE_INTERVAL_MS = 1000;
+    }
+
+    start() {
+        const dir = path.join(DATA_DIR, this.dir);
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+
+        for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+            const store = new JsonStore(path.join(this.dir, file));
+            const campaign = store.load();
+            if (!campaign?.id) {
+                continue;
+            }
+            this.stores.set(campaign.id, store);
+
+            if (campaign.status === 'running') {
+                logger.info(`Retomando campanha ${campaign.id} (${campaign.name})`);
+                this.run(campaign.id);
+            } else if (campaign.status === 'scheduled') {
+                this.schedule(campaign);
+            }
+        }
+    }
+
+    /**
+     * Valida os dados e cria a campanha. Destinatários com número inválido já entram
+     * como invalid_number, e números repetidos são ignorados.
+     */
+    createCampaign({ channelId, name, message, recipients, throttle = {}, scheduledAt }) {
+        if (!message || !MESSAGE_TYPES.includes(message.type || 'text')) {
+            throw new Error('INVALID_MESSAGE');
+        }
+
+        // Campos de texto são usados como template em render(): outro tipo faria todos os envios falharem
+        const type = message.type || 'text';
+        const nonText = MESSAGE_TEXT_FIELDS.some(field => message[field] !== undefined && message[field] !== null &&
+            typeof message[field] !== 'string');
+        if (nonText ||
+            (type === 'text' && !message.text) ||
+            (type === 'image' && !message.imageUrl) ||
+            (type === 'document' && (!message.fileUrl || !message.fileName))) {
+            throw new Error('INVALID_MESSAGE');
+        }
+
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            throw new Error('NO_RECIPIENTS');
+        }
+
+        if (scheduledAt && isNaN(Date.parse(scheduledAt))) {
+            throw new Error('INVALID_SCHEDULE');
+        }
+
+        const seen = new Set();
+        const campaignRecipients = [];
+        const country = whatsappService.getDefaultCountry(channelId);
+
+        for (const recipient of recipients) {
+            const raw = String(recipient.to || '').trim();
+            const phone = parsePhoneNumber(raw, country);
+            const to = phone.valid ? phone.number : raw;
+
+            // Deduplica pelo número normalizado (11 99999-9999 e +55 11 99999-9999 são o mesmo contato)
+            const key = to.replace(/\D/g, '');
+            if (!key || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const valid = phone.valid;
+            campaignRecipients.push({
+                to,
+                variables: recipient.variables || {},
+                status: valid ? 'pending' : 'invalid_number',
+                error: valid ? null : 'INVALID_NUMBER',
+                reason: valid ? null : phone.reason,
+                messageId: null,
+                sentAt: null
+            });
+        }
+
+        // Nenhum destinatário com número (ex: [{}] ou CSV sem coluna de telefone reconhecida)
+        if (campaignRecipients.length === 0) {
+            throw new Error('NO_RECIPIENTS');
+        }
+
+        const now = new Date().toISOString();
+        const isScheduled = scheduledAt && new Date(scheduledAt).getTime() > Date.now();
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            channelId,
+            name: name || `Campanha ${now}`,
+            status: isScheduled ? 'scheduled' : 'running',
+            message: { ...message, type },
+            throttle: {
+                delayMs: Math.max(parseInt(throttle.delayMs ?? this.DEFAULT_DELAY_MS) || 0, 0),
+                jitterMs: Math.max(parseInt(throttle.jitterMs ?? this.DEFAULT_JITTER_MS) || 0, 0),
+                pauseEvery: parseInt(throttle.pauseEvery) || null,
+                pauseMs: parseInt(throttle.pauseMs) || 0
+            },
+            scheduledAt: isScheduled ? new Date(scheduledAt).toISOString() : null,
+            pauseReason: null,
+            recipients: campaignRecipients,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        const store = new JsonStore(path.join(this.dir, `${campaign.id}.json`));
+        store.data = campaign;
+        store.save();
+        this.stores.set(campaign.id, store);
+
+        logger.info(`[${channelId}] Campanha ${campaign.id} criada com ${campaignRecipients.length} destinatário(s)`);
+
+        if (isScheduled) {
+            this.schedule(campaign);
+        } else {
+            this.run(campaign.id);
+        }
+
+        return campaign;
+    }
+
+    getCampaign(campaignId) {
+        return this.stores.get(campaignId)?.load() || null;
+    }
+
+    listCampaigns({ channelId, status } = {}) {
+        return Array.from(this.stores.values())
+            .map(store => store.load())
+            .filter(campaign => !channelId || campaign.channelId === channelId)
+            .filter(campaign => !status || campaign.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    pauseCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (!['running', 'scheduled'].includes(campaign.status)) {
+            throw new Error('INVALID_CAMPAIGN_STATE');
+        }
+
+        clearTimeout(this.timers.get(campaignId));
+        this.timers.delete(campaignId);
+
+        this.update(campaign, { status: 'paused', pauseReason: 'MANUAL' });
+        logger.info(`[${campaign.channelId}] Campanha ${campaignId} pausada`);
+        return campaign;
+    }
+
+    resumeCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (campaign.status !== 'paused') {
+            throw new Error('INVALID_CAMPAIGN_STATE');
+        }
+
+        if (campaign.scheduledAt && new Date(campaign.scheduledAt).getTime() > Date.now()) {
+            this.update(campaign, { status: 'scheduled', pauseReason: null });
+            this.schedule(campaign);
+        } else {
+            this.update(campaign, { status: 'running', pauseReason: null });
+            this.run(campaignId);
+        }
+
+        logger.info(`[${campaign.channelId}] Campanha ${campaignId} retomada`);
+        return campaign;
+    }
+
+    cancelCampaign(campaignId) {
+        const campaign = this.requireCampaign(campaignId);
+        if (FINAL_STATUSES.includes(campaign.status)) {
+            throw new Error('INVALID_CAMPAIGN_STATE');
+        }
+
+        clearTimeout(this.timers.get(campaignId));
+        this.timers.delete(campaignId);
+
+        this.update(campaign, { status: 'cancelled', finishedAt: new Date().toISOString() });
+        logger.info(`[${campaign.channelId}] Campanha ${campaignId} cancelada`);
+        return campaign;
+    }
+
+    requireCampaign(campaignId) {
+        const campaign = this.getCampaign(campaignId);
+        if (!campaign) {
+            throw new Error('CAMPAIGN_NOT_FOUND');
+        }
+        return campaign;
+    }
+
+    schedule(campaign) {
+        clearTimeout(this.timers.get(campaign.id));
+
+        const delay = new Date(campaign.scheduledAt).getTime() - Date.now();
+        this.timers.set(campaign.id, setTimeout(() => {
+            this.timers.delete(campaign.id);
+            const current = this.getCampaign(campaign.id);
+            if (current?.status !== 'scheduled') {
+                return;
+            }
+            if (new Date(current.scheduledAt).getTime() > Date.now()) {
+                this.schedule(current);
+                return;
+            }
+            this.update(current, { status: 'running' });
+            this.run(current.id);
+        }, Math.min(Math.max(delay, 0), MAX_TIMER_MS)));
+    }
+
+    run(campaignId) {
+        if (this.runners.has(campaignId)) {
+            return;
+        }
+
+        this.runners.add(campaignId);
+        this.processCampaign(campaignId)
+            .catch(error => logger.error(`Erro ao processar campanha ${campaignId}:`, error.message))
+            .finally(() => this.runners.delete(campaignId));
+    }
+
+    async processCampaign(campaignId) {
+        const campaign = this.getCampaign(campaignId);
+        if (!campaign.startedAt) {
+            this.update(campaign, { startedAt: new Date().toISOString() });
+        }
+
+        let sentInRun = 0;
+
+        for (const recipient of campaign.recipients) {
+            if (recipient.status !== 'pending') {
+                continue;
+            }
+
+            // Pausa/cancelamento são verificados antes de cada destinatário
+            if (campaign.status !== 'running') {
+                return;
+            }
+
+            const outcome = await this.sendToRecipient(campaign, recipient);
+            if (outcome === 'stop') {
+                return;
+            }
+
+            sentInRun++;
+            const { delayMs, jitterMs, pauseEvery, pauseMs } = campaign.throttle;
+            const wait = pauseEvery && sentInRun % pauseEvery === 0
+                ? pauseMs
+                : delayMs + Math.floor(Math.random() * (jitterMs + 1));
+            await sleep(wait);
+        }
+
+        if (campaign.status === 'running') {
+            this.update(campaign, { status: 'completed', finishedAt: new Date().toISOString() });
+            logger.info(`[${campaign.channelId}] Campanha ${campaignId} concluída`);
+            eventBus.publish(campaign.channelId, 'campaign.completed', this.describeCampaign(campaign));
+        }
+    }
+
+    async sendToRecipient(campaign, recipient) {
+        const { message, channelId } = campaign;
+        const variables = { ...recipient.variables, to: recipient.to };
+
+        while (true) {
+            try {
+                let result;
+                if (message.type === 'image') {
+                    result = await whatsappService.sendImage(channelId, recipient.to, message.imageUrl, this.render(message.caption, variables));
+                } else if (message.type === 'document') {
+                    result = await whatsappService.sendDocument(channelId, recipient.to, message.fileUrl, message.fileName, this.render(message.caption, variables));
+                } else {
+                    result = await whatsappService.sendTextMessage(channelId, recipient.to, this.render(message.text, variables));
+                }
+
+                this.updateRecipient(campaign, recipient, {
+                    status: 'sent',
+                    messageId: result.messageId,
+                    sentAt: new Date().toISOString(),
+                    error: null
+                });
+                return 'sent';
+            } catch (error) {
+                // Limite de envio do canal: tenta o mesmo destinatário quando liberar, conferindo pausa/cancelamento
+                if (error.message === 'RATE_LIMITED') {
+                    await sleep(Math.min(error.retryAfter * 1000, this.RECONNECT_WAIT_MS));
+                    if (campaign.status !== 'running') {
+                        return 'stop';
+                    }
+                    continue;
+                }
+
+                if (error.message === 'CHANNEL_NOT_CONNECTED') {
+                    if (sessionManager.isChannelRecovering(channelId) && campaign.status === 'running') {
+                        logger.warn(`[${channelId}] Campanha ${campaign.id} aguardando reconexão do canal`);
+                        await sleep(this.RECONNECT_WAIT_MS);
+                        if (campaign.status !== 'running') {
+                            return 'stop';
+                        }
+                        continue;
+                    }
+
+                    this.update(campaign, { status: 'paused', pauseReason: 'CHANNEL_NOT_CONNECTED' });
+                    logger.warn(`[${channelId}] Campanha ${campaign.id} pausada: canal não conectado`);
+                    return 'stop';
+                }
+
+                this.updateRecipient(campaign, recipient, {
+                    status: error.message === 'INVALID_WHATSAPP_NUMBER' ? 'invalid_number' : 'failed',
+                    error: error.message
+                });
+                return 'failed';
+            }
+        }
+    }
+
+    render(template, variables) {
+        if (!template) {
+            return template || '';
+        }
+        return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => variables[key] ?? '');
+    }
+
+    /**
+     * Resultado de um destinatário: gravado em lote (saveSoon) para não regravar a campanha inteira
+     * a cada envio; mudanças de status da campanha (update) gravam na hora
+     */
+    updateRecipient(campaign, recipient, changes) {
+        Object.assign(recipient, changes);
+        campaign.updatedAt = new Date().toISOString();
+        this.stores.get(campaign.id).saveSoon(this.SAVE_INTERVAL_MS);
+    }
+
+    update(campaign, changes) {
+        Object.assign(campaign, changes, { updatedAt: new Date().toISOString() });
+        this.stores.get(campaign.id).save();
+    }
+
+    getStats(campaign) {
+        const stats = { total: campaign.recipients.length, pending: 0, sent: 0, invalid_number: 0, failed: 0 };
+        for (const recipient of campaign.recipients) {
+            stats[recipient.status]++;
+        }
+        stats.progress = stats.total ? Math.round(((stats.total - stats.pending) / stats.total) * 100) : 100;
+        return stats;
+    }
+
+    /**
+     * Resumo da campanha, sem a lista de destinatários
+     */
+    describeCampaign(campaign) {
+        const { recipients, ...summary } = campaign;
+        return { ...summary, stats: this.getStats(campaign) };
+    }
+}
+
+export default new CampaignService();
@@ -0,0 +1,83 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger.js';
+
+// Eventos com QR Code / código de pareamento: permitem conectar um aparelho ao canal,
+// por isso só são entregues a API Keys com permissão admin
+export const SENSITIVE_EVENTS = ['channel.qr', 'channel.pairing_code'];
+
+/**
+ * Barramento de eventos em memória. Tudo o que acontece nos canais (status, QR Code, mensagens,
+ * resultados de envio) é publicado aqui e repassado aos assinantes: webhooks, SSE e WebSocket.
+ * Os últimos EVENTS_BUFFER_SIZE eventos ficam guardados para retomada via Last-Event-ID.
+ */
+class EventBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.BUFFER_SIZE = parseInt(process.env.EVENTS_BUFFER_SIZE) || 1000;
+        this.buffer = [];
+        this.lastId = 0;
+    }
+
+    publish(channelId, type, data) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            channelId,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+
+        for (const listener of this.emitter.listeners('event')) {
+            try {
+                listener(event);
+            } catch (error) {
+                logger.error(`Erro em assinante do evento ${type}:`, error.message);
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Retorna a função para cancelar a assinatura
+     */
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.off('event', listener);
+    }
+
+    /**
+     * Eventos do buffer posteriores a lastEventId. IDs desconhecidos (ex: de antes de um
+     * reinício do servidor) reenviam o buffer inteiro.
+     */
+    getEventsSince(lastEventId) {
+        const id = parseInt(lastEventId);
+        if (!Number.isInteger(id) || id < 0 || id > this.lastId) {
+            return [...this.buffer];
+        }
+        return this.buffer.filter(event => event.id > id);
+    }
+
+    /**
+     * filter: { channels: [channelId] | null, types: ['message.received', 'channel.*'] | null }
+     */
+    matches(event, { channels, types }) {
+        if (channels && !channels.includes(event.channelId)) {
+            return false;
+        }
+
+        if (types && !types.some(type => type === event.type || (type.endsWith('.*') && event.type.startsWith(type.slice(0, -1))))) {
+            return false;
+        }
+
+        return true;
+    }
+}
+
+export default new EventBus();
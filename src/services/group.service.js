@@ -0,0 +1,181 @@
+import sessionManager from '../sessions/manager.js';
+import whatsappService from './whatsapp.service.js';
+import { logger } from '../utils/logger.js';
+
+export const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+/**
+ * Gestão de grupos do WhatsApp de um canal. Os erros do Baileys são convertidos em
+ * GROUP_NOT_FOUND (grupo inexistente ou canal fora dele) e GROUP_FORBIDDEN (canal não é admin).
+ */
+class GroupService {
+    getSocket(channelId) {
+        const socket = sessionManager.getSocket(channelId);
+        if (!sessionManager.isChannelConnected(channelId) || !socket) {
+            throw new Error('CHANNEL_NOT_CONNECTED');
+        }
+        return socket;
+    }
+
+    /**
+     * Aceita o JID completo (120363...@g.us) ou apenas o id numérico
+     */
+    toGroupJid(groupId) {
+        const jid = String(groupId).endsWith('@g.us') ? String(groupId) : `${groupId}@g.us`;
+        if (!whatsappService.isGroupJid(jid)) {
+            throw new Error('INVALID_GROUP_ID');
+        }
+        return jid;
+    }
+
+    /**
+     * Números sem código do país são interpretados com o país padrão do canal
+     */
+    toParticipantJids(channelId, participants) {
+        if (!Array.isArray(participants) || participants.length === 0) {
+            throw new Error('INVALID_PARTICIPANTS');
+        }
+
+        const country = whatsappService.getDefaultCountry(channelId);
+        return participants.map(participant => {
+            if (typeof participant !== 'string' || !whatsappService.isValidWhatsAppNumber(participant, country)) {
+                throw new Error('INVALID_PARTICIPANTS');
+            }
+            return whatsappService.formatWhatsAppNumber(participant, country);
+        });
+    }
+
+    async run(channelId, operation, fn) {
+        try {
+            return await fn(this.getSocket(channelId));
+        } catch (error) {
+            const statusCode = error.output?.statusCode;
+
+            if (statusCode === 404 || /item-not-found/.test(error.message)) {
+                throw new Error('GROUP_NOT_FOUND');
+            }
+            if (statusCode === 403 || statusCode === 401 || /forbidden|not-authorized/.test(error.message)) {
+                logger.warn(`[${channelId}] Sem permissão para ${operation}: ${error.message}`);
+                throw new Error('GROUP_FORBIDDEN');
+            }
+            throw error;
+        }
+    }
+
+    async listGroups(channelId) {
+        return this.run(channelId, 'listar grupos', async socket => {
+            const groups = await socket.groupFetchAllParticipating();
+            return Object.values(groups)
+                .map(group => this.describeGroup(group, { participants: false }))
+                .sort((a, b) => (a.subject || '').localeCompare(b.subject || ''));
+        });
+    }
+
+    async getGroup(channelId, groupId) {
+        const jid = this.toGroupJid(groupId);
+        return this.run(channelId, 'consultar grupo', async socket => {
+            return this.describeGroup(await socket.groupMetadata(jid));
+        });
+    }
+
+    async createGroup(channelId, { subject, participants }) {
+        if (typeof subject !== 'string' || !subject.trim()) {
+            throw new Error('INVALID_SUBJECT');
+        }
+        const jids = this.toParticipantJids(channelId, participants);
+
+        return this.run(channelId, 'criar grupo', async socket => {
+            const group = await socket.groupCreate(subject.trim(), jids);
+            logger.info(`[${channelId}] Grupo ${group.id} criado (${subject})`);
+            return this.describeGroup(group);
+        });
+    }
+
+    /**
+     * Retorna o resultado por participante: o WhatsApp aceita parte da lista e recusa o resto
+     * (ex: 403 quando a privacidade do contato exige convite, 409 quando já é participante)
+     */
+    async updateParticipants(channelId, groupId, action, participants) {
+        if (!PARTICIPANT_ACTIONS.includes(action)) {
+            throw new Error('INVALID_ACTION');
+        }
+        const jid = this.toGroupJid(groupId);
+        const jids = this.toParticipantJids(channelId, participants);
+
+        return this.run(channelId, 'atualizar participantes', async socket => {
+            const results = await socket.groupParticipantsUpdate(jid, jids, action);
+            logger.info(`[${channelId}] Participantes do grupo ${jid}: ${action} (${jids.length})`);
+
+            return results.map(result => ({
+                jid: result.jid,
+                status: result.status,
+                success: result.status === '200'
+            }));
+        });
+    }
+
+    async updateGroup(channelId, groupId, { subject, description }) {
+        const jid = this.toGroupJid(groupId);
+        if (subject !== undefined && (typeof subject !== 'string' || !subject.trim())) {
+            throw new Error('INVALID_SUBJECT');
+        }
+
+        return this.run(channelId, 'atualizar grupo', async socket => {
+            if (subject !== undefined) {
+                await socket.groupUpdateSubject(jid, subject.trim());
+            }
+            if (description !== undefined) {
+                await socket.groupUpdateDescription(jid, description || undefined);
+            }
+            return this.describeGroup(await socket.groupMetadata(jid));
+        });
+    }
+
+    async getInviteLink(channelId, groupId) {
+        const jid = this.toGroupJid(groupId);
+        return this.run(channelId, 'consultar convite do grupo', async socket => {
+            return this.describeInvite(jid, await socket.groupInviteCode(jid));
+        });
+    }
+
+    async revokeInviteLink(channelId, groupId) {
+        const jid = this.toGroupJid(groupId);
+        return this.run(channelId, 'revogar convite do grupo', async socket => {
+            const code = await socket.groupRevokeInvite(jid);
+            logger.info(`[${channelId}] Convite do grupo ${jid} revogado`);
+            return this.describeInvite(jid, code);
+        });
+    }
+
+    describeInvite(groupId, code) {
+        return {
+            groupId,
+            code,
+            link: `https://chat.whatsapp.com/${code}`
+        };
+    }
+
+    describeGroup(group, { participants = true } = {}) {
+        const data = {
+            id: group.id,
+            subject: group.subject,
+            description: group.desc || null,
+            owner: group.owner || null,
+            createdAt: group.creation ? new Date(group.creation * 1000).toISOString() : null,
+            size: group.size || group.participants?.length || 0,
+            announce: Boolean(group.announce),
+            restrict: Boolean(group.restrict)
+        };
+
+        if (participants) {
+            data.participants = (group.participants || []).map(participant => ({
+                jid: participant.id,
+                admin: participant.admin || null
+            }));
+        }
+
+        return data;
+    }
+}
+
+export default new GroupService();
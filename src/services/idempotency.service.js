@@ -0,0 +1,117 @@
+import { JsonStore } from '../utils/store.js';
+import { logger } from '../utils/logger.js';
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Respostas por Idempotency-Key, para que uma requisição repetida (ex: retry após timeout do
+ * cliente) devolva o primeiro resultado em vez de enviar de novo. As respostas concluídas ficam em
+ * DATA_DIR/idempotency.json por IDEMPOTENCY_TTL_HOURS, gravadas em lote (saveSoon) e no
+ * encerramento do servidor; as em andamento só em memória, já que um reinício interrompe a requisição original.
+ * scope: API Key + chave informada pelo cliente; fingerprint: hash da requisição.
+ */
+class IdempotencyService {
+    constructor() {
+        this.store = new JsonStore('idempotency.json'); // scope -> { fingerprint, response, createdAt, expiresAt }
+        this.TTL_MS = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+        this.inFlight = new Map(); // scope -> { fingerprint, promise, resolve }
+        this.cleanupTimer = null;
+    }
+
+    start() {
+        this.store.load();
+        this.purgeExpired();
+
+        this.cleanupTimer = setInterval(() => this.purgeExpired(), CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Registra o início de uma requisição. Retorna:
+     * { status: 'new' } - primeira vez: processar e chamar complete() ou release()
+     * { status: 'conflict' } - chave já usada com outra requisição
+     * { status: 'completed', response } - resposta gravada, para repetir
+     * { status: 'in_flight', promise } - mesma requisição em andamento; promise resolve com a
+     *   resposta dela, ou null se ela terminar sem resposta JSON
+     */
+    begin(scope, fingerprint) {
+        const entry = this.getEntry(scope);
+        if (entry) {
+            return entry.fingerprint === fingerprint
+                ? { status: 'completed', response: entry.response }
+                : { status: 'conflict' };
+        }
+
+        const pending = this.inFlight.get(scope);
+        if (pending) {
+            return pending.fingerprint === fingerprint
+                ? { status: 'in_flight', promise: pending.promise }
+                : { status: 'conflict' };
+        }
+
+        let resolve;
+        const promise = new Promise(done => {
+            resolve = done;
+        });
+        this.inFlight.set(scope, { fingerprint, promise, resolve });
+
+        return { status: 'new' };
+    }
+
+    /**
+     * Grava a resposta para as repetições. response: { statusCode, body }
+     */
+    complete(scope, response) {
+        const pending = this.inFlight.get(scope);
+        if (!pending) {
+            return;
+        }
+
+        const now = Date.now();
+        this.store.load()[scope] = {
+            fingerprint: pending.fingerprint,
+            response,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.TTL_MS).toISOString()
+        };
+        // Em lote: regravar o arquivo inteiro a cada requisição custaria O(n) no caminho do envio
+        this.store.saveSoon();
+
+        this.inFlight.delete(scope);
+        pending.resolve(response);
+    }
+
+    /**
+     * Libera a chave sem gravar a resposta (erro temporário ou sem resposta JSON): quem aguardava
+     * recebe response, e uma nova tentativa com a chave é processada de novo
+     */
+    release(scope, response = null) {
+        const pending = this.inFlight.get(scope);
+        if (pending) {
+            this.inFlight.delete(scope);
+            pending.resolve(response);
+        }
+    }
+
+    getEntry(scope) {
+        const entry = this.store.load()[scope];
+        if (!entry || new Date(entry.expiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return entry;
+    }
+
+    purgeExpired() {
+        const entries = this.store.load();
+        const now = Date.now();
+        const expired = Object.keys(entries).filter(scope => new Date(entries[scope].expiresAt).getTime() <= now);
+
+        if (expired.length > 0) {
+            expired.forEach(scope => delete entries[scope]);
+            this.store.save();
+            logger.debug(`${expired.length} chave(s) de idempotência expirada(s) removida(s)`);
+        }
+    }
+}
+
+export default new IdempotencyService();
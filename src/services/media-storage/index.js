@@ -0,0 +1,27 @@
+import path from 'path';
+import { createLocalMediaStorage } from './local.js';
+import { DATA_DIR } from '../../utils/store.js';
+
+/**
+ * Backends de armazenamento das mídias recebidas, selecionados por MEDIA_STORE.
+ * Todos expõem a mesma interface:
+ *   save(mediaId, buffer), exists(mediaId), createReadStream(mediaId), remove(mediaId)
+ */
+const MEDIA_STORES = {
+    local: () => createLocalMediaStorage({
+        baseDir: process.env.MEDIA_DIR || path.join(DATA_DIR, 'media')
+    })
+};
+
+let mediaStorage = null;
+
+export function getMediaStorage() {
+    if (!mediaStorage) {
+        const type = process.env.MEDIA_STORE || 'local';
+        if (!MEDIA_STORES[type]) {
+            throw new Error(`MEDIA_STORE inválido: ${type}. Use ${Object.keys(MEDIA_STORES).join(', ')}`);
+        }
+        mediaStorage = MEDIA_STORES[type]();
+    }
+    return mediaStorage;
+}
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Arquivos de mídia em disco: <baseDir>/<mediaId>
+ */
+export function createLocalMediaStorage({ baseDir }) {
+    const getFilePath = (mediaId) => path.join(baseDir, mediaId);
+
+    return {
+        name: 'local',
+
+        async save(mediaId, buffer) {
+            await fs.promises.mkdir(baseDir, { recursive: true });
+            await fs.promises.writeFile(getFilePath(mediaId), buffer);
+        },
+
+        async exists(mediaId) {
+            return fs.existsSync(getFilePath(mediaId));
+        },
+
+        createReadStream(mediaId) {
+            return fs.createReadStream(getFilePath(mediaId));
+        },
+
+        async remove(mediaId) {
+            await fs.promises.rm(getFilePath(mediaId), { force: true });
+        }
+    };
+}
@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { downloadMediaMessage } from '@whiskeysockets/baileys';
+import messageStore from './message-store.service.js';
+import eventBus from './event-bus.service.js';
+import { getMediaStorage } from './media-storage/index.js';
+import { JsonStore } from '../utils/store.js';
+import { logger } from '../utils/logger.js';
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Lê o stream do download, abortando com MEDIA_TOO_LARGE assim que passar de maxBytes
+ * (sem fileLength na mensagem, o tamanho só é conhecido durante o download)
+ */
+async function readLimited(stream, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            stream.destroy();
+            throw new Error('MEDIA_TOO_LARGE');
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Mídias recebidas (imagens, vídeos, áudios, documentos, figurinhas): baixadas e descriptografadas
+ * pelo Baileys, gravadas no armazenamento de mídia (MEDIA_STORE) e servidas em GET /media/:mediaId.
+ * Os metadados ficam em DATA_DIR/media.json; arquivos expirados são removidos periodicamente.
+ * Limites por canal: settings.mediaDownload, settings.mediaMaxSizeMB e settings.mediaRetentionDays.
+ */
+class MediaService {
+    constructor() {
+        this.store = new JsonStore('media.json'); // mediaId -> metadados
+        this.MAX_SIZE_MB = parseFloat(process.env.MEDIA_MAX_SIZE_MB) || 16;
+        this.RETENTION_DAYS = parseFloat(process.env.MEDIA_RETENTION_DAYS) || 30;
+        this.cleanupTimer = null;
+    }
+
+    start() {
+        this.store.load();
+        this.cleanup();
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+
+        eventBus.subscribe(({ channelId, type }) => {
+            if (type === 'channel.removed') {
+                this.removeChannelMedia(channelId)
+                    .catch(error => logger.error(`[${channelId}] Erro ao remover mídias do canal:`, error.message));
+            }
+        });
+    }
+
+    cleanup() {
+        this.purgeExpired()
+            .catch(error => logger.error('Erro ao remover mídias expiradas:', error.message));
+    }
+
+    getLimits(settings = {}) {
+        return {
+            enabled: settings.mediaDownload !== false,
+            maxBytes: (settings.mediaMaxSizeMB ?? this.MAX_SIZE_MB) * 1024 * 1024,
+            retentionMs: (settings.mediaRetentionDays ?? this.RETENTION_DAYS) * 24 * 60 * 60 * 1000
+        };
+    }
+
+    /**
+     * Baixa a mídia de uma mensagem recebida já gravada no histórico (parsed.media) e publica
+     * message.media com o resultado. Não lança erros: falhas ficam em media.downloadError.
+     * downloadContext: { logger, reuploadRequest } repassado ao downloadMediaMessage do Baileys
+     */
+    async handleInboundMedia(channelId, msg, parsed, { settings, downloadContext }) {
+        const limits = this.getLimits(settings);
+        if (!limits.enabled) {
+            return null;
+        }
+
+        let media;
+        try {
+            if (parsed.media.size && parsed.media.size > limits.maxBytes) {
+                throw new Error('MEDIA_TOO_LARGE');
+            }
+
+            const stream = await downloadMediaMessage(msg, 'stream', {}, downloadContext);
+            const buffer = await readLimited(stream, limits.maxBytes);
+
+            media = await this.saveMedia(channelId, buffer, {
+                messageId: parsed.id,
+                chatId: parsed.chatId,
+                mimetype: parsed.media.mimetype,
+                fileName: parsed.media.fileName,
+                retentionMs: limits.retentionMs
+            });
+        } catch (error) {
+            const downloadError = error.message === 'MEDIA_TOO_LARGE' ? 'MEDIA_TOO_LARGE' : 'DOWNLOAD_FAILED';
+            logger.warn(`[${channelId}] Mídia da mensagem ${parsed.id} não baixada: ${error.message}`);
+            media = { downloadError };
+        }
+
+        try {
+            const record = messageStore.upsert(channelId, {
+                id: parsed.id,
+                media: { ...parsed.media, ...media }
+            });
+            eventBus.publish(channelId, 'message.media', {
+                id: parsed.id,
+                chatId: parsed.chatId,
+                media: record.media
+            });
+
+            return record.media;
+        } catch (error) {
+            logger.error(`[${channelId}] Erro ao registrar a mídia da mensagem ${parsed.id}:`, error.message);
+            return null;
+        }
+    }
+
+    async saveMedia(channelId, buffer, { messageId, chatId, mimetype, fileName, retentionMs }) {
+        const id = crypto.randomUUID();
+        const now = Date.now();
+
+        await getMediaStorage().save(id, buffer);
+
+        const metadata = {
+            id,
+            channelId,
+            messageId,
+            chatId,
+            mimetype: mimetype || 'application/octet-stream',
+            fileName: fileName || null,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + retentionMs).toISOString()
+        };
+
+        this.store.load()[id] = metadata;
+        this.store.save();
+        logger.info(`[${channelId}] Mídia ${id} salva (${metadata.mimetype}, ${metadata.size} bytes)`);
+
+        return {
+            id,
+            url: `/media/${id}`,
+            mimetype: metadata.mimetype,
+            size: metadata.size,
+            sha256: metadata.sha256,
+            expiresAt: metadata.expiresAt
+        };
+    }
+
+    /**
+     * Metadados da mídia, ou null se não existe ou expirou
+     */
+    getMedia(mediaId) {
+        const metadata = this.store.load()[mediaId];
+        if (!metadata || new Date(metadata.expiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return metadata;
+    }
+
+    createReadStream(mediaId) {
+        return getMediaStorage().createReadStream(mediaId);
+    }
+
+    async removeMedia(mediaIds) {
+        const media = this.store.load();
+        for (const mediaId of mediaIds) {
+            try {
+                await getMediaStorage().remove(mediaId);
+                delete media[mediaId];
+            } catch (error) {
+                logger.error(`Erro ao remover mídia ${mediaId}:`, error.message);
+            }
+        }
+        this.store.save();
+    }
+
+    async purgeExpired() {
+        const now = Date.now();
+        const expired = Object.values(this.store.load())
+            .filter(metadata => new Date(metadata.expiresAt).getTime() <= now)
+            .map(metadata => metadata.id);
+
+        if (expired.length > 0) {
+            logger.info(`Removendo ${expired.length} mídia(s) expirada(s)`);
+            return this.removeMedia(expired);
+        }
+    }
+
+    async removeChannelMedia(channelId) {
+        const mediaIds = Object.values(this.store.load())
+            .filter(metadata => metadata.channelId === channelId)
+            .map(metadata => metadata.id);
+
+        if (mediaIds.length > 0) {
+            logger.info(`[${channelId}] Removendo ${mediaIds.length} mídia(s) do canal`);
+            return this.removeMedia(mediaIds);
+        }
+    }
+}
+
+export default new MediaService();
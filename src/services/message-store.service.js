@@ -0,0 +1,377 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from '../utils/store.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_PAGE_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 50;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+// Arquivo com mais linhas que isto vezes o número de mensagens é reescrito (compactado)
+const COMPACTION_RATIO = 2;
+// Canais com histórico completo em memória; os usados há mais tempo são descartados e relidos do arquivo
+const DEFAULT_CACHED_CHANNELS = 20;
+
+// Ciclo de vida de uma mensagem enviada; um status só avança para frente nesta ordem.
+// 'failed' pode ocorrer a partir de qualquer status anterior à entrega.
+export const MESSAGE_STATUSES = ['pending', 'server_ack', 'delivered', 'read', 'played'];
+
+/**
+ * Histórico de mensagens enviadas e recebidas, um arquivo JSONL por canal.
+ * Cada linha é o estado completo de uma mensagem; atualizações acrescentam uma nova
+ * linha e, na leitura, a última ocorrência de cada id prevalece. Periodicamente, mensagens mais
+ * antigas que MESSAGE_RETENTION_DAYS são descartadas e o arquivo é reescrito com uma linha por mensagem.
+ * Só os MESSAGE_CACHE_CHANNELS canais usados mais recentemente ficam em memória; dos demais, apenas o
+ * índice id -> canal e os contatos que escreveram ao canal.
+ */
+class MessageStoreService {
+    constructor() {
+        this.dir = path.join(DATA_DIR, 'messages');
+        this.channels = new Map(); // channelId -> Map(messageId -> record), do menos ao mais recentemente usado
+        this.senders = new Map(); // channelId -> Set(jid) das conversas com mensagens recebidas
+        this.lineCounts = new Map(); // channelId -> linhas gravadas no arquivo
+        this.messageIndex = new Map(); // messageId -> channelId, de todos os canais já lidos
+        this.indexedChannels = new Set(); // canais cujas mensagens estão em messageIndex
+        this.MAX_CACHED_CHANNELS = Math.max(parseInt(process.env.MESSAGE_CACHE_CHANNELS) || DEFAULT_CACHED_CHANNELS, 1);
+        const retentionDays = parseFloat(process.env.MESSAGE_RETENTION_DAYS);
+        this.RETENTION_MS = (Number.isFinite(retentionDays) ? retentionDays : 90) * 24 * 60 * 60 * 1000;
+        this.maintenanceTimer = null;
+    }
+
+    start() {
+        this.maintain();
+
+        this.maintenanceTimer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL_MS);
+        this.maintenanceTimer.unref();
+    }
+
+    getFilePath(channelId) {
+        return path.join(this.dir, `${encodeURIComponent(channelId)}.jsonl`);
+    }
+
+    loadChannel(channelId) {
+        const cached = this.channels.get(channelId);
+        if (cached) {
+            // Move para o fim: o primeiro do Map é o próximo a sair do cache
+            this.channels.delete(channelId);
+            this.channels.set(channelId, cached);
+            return cached;
+        }
+
+        const messages = new Map();
+        const filePath = this.getFilePath(channelId);
+        let lineCount = 0;
+
+        if (fs.existsSync(filePath)) {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                lineCount++;
+                try {
+                    const record = JSON.parse(line);
+                    messages.set(record.id, record);
+                    this.indexMessage(channelId, record.id);
+                } catch (error) {
+                    logger.warn(`Linha inválida ignorada em ${filePath}`);
+                }
+            }
+        }
+
+        this.channels.set(channelId, messages);
+        this.lineCounts.set(channelId, lineCount);
+        this.indexedChannels.add(channelId);
+        this.indexSenders(channelId);
+        this.evict();
+        return messages;
+    }
+
+    /**
+     * Descarta da memória os canais usados há mais tempo além de MAX_CACHED_CHANNELS
+     */
+    evict() {
+        while (this.channels.size > this.MAX_CACHED_CHANNELS) {
+            const [channelId] = this.channels.keys();
+            this.channels.delete(channelId);
+            this.lineCounts.delete(channelId);
+        }
+    }
+
+    // Um mesmo id pode estar em dois canais (mensagem entre canais do servidor): vale o primeiro
+    indexMessage(channelId, messageId) {
+        if (!this.messageIndex.has(messageId)) {
+            this.messageIndex.set(messageId, channelId);
+        }
+    }
+
+    indexSenders(channelId) {
+        this.senders.set(channelId, new Set(
+            Array.from(this.channels.get(channelId).values())
+                .filter(message => message.direction === 'inbound')
+                .map(message => message.jid)
+        ));
+    }
+
+    upsert(channelId, data) {
+        const messages = this.loadChannel(channelId);
+        const existing = messages.get(data.id);
+        const now = new Date().toISOString();
+
+        const record = {
+            ...existing,
+            ...data,
+            channelId,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        messages.set(record.id, record);
+        this.indexMessage(channelId, record.id);
+        if (record.direction === 'inbound') {
+            this.senders.get(channelId).add(record.jid);
+        }
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.getFilePath(channelId), JSON.stringify(record) + '\n');
+            this.lineCounts.set(channelId, this.lineCounts.get(channelId) + 1);
+        } catch (error) {
+            logger.error(`Erro ao gravar mensagem ${record.id} (${channelId}):`, error.message);
+        }
+
+        return record;
+    }
+
+    /**
+     * Registra uma mensagem já normalizada por parseMessage (recebida ou enviada pelo próprio aparelho)
+     */
+    saveParsedMessage(channelId, parsed) {
+        const { id, chatId, fromMe, ...content } = parsed;
+
+        return this.upsert(channelId, {
+            id,
+            direction: fromMe ? 'outbound' : 'inbound',
+            jid: chatId,
+            ...content,
+            timestamp: parsed.timestamp || new Date().toISOString()
+        });
+    }
+
+    /**
+     * Registra uma mensagem enviada pela API
+     */
+    saveOutgoingMessage(channelId, { id, jid, type, status = 'pending', ...content }) {
+        const timestamp = new Date().toISOString();
+
+        return this.upsert(channelId, {
+            id,
+            direction: 'outbound',
+            jid,
+            type,
+            ...content,
+            status,
+            statusHistory: [{ status, timestamp }],
+            timestamp
+        });
+    }
+
+    /**
+     * Avança o status de uma mensagem enviada.
+     * Retorna { record, previousStatus } quando houve transição, ou null se a mensagem não está
+     * no histórico ou o status é repetido/regressivo.
+     */
+    updateStatus(channelId, messageId, status, { timestamp, participant } = {}) {
+        const existing = this.getMessage(channelId, messageId);
+        if (!existing) {
+            return null;
+        }
+
+        const previousStatus = existing.status || null;
+        if (previousStatus === status) {
+            return null;
+        }
+
+        if (status === 'failed') {
+            if (previousStatus && MESSAGE_STATUSES.indexOf(previousStatus) >= MESSAGE_STATUSES.indexOf('delivered')) {
+                return null;
+            }
+        } else if (previousStatus === 'failed' && status === 'pending') {
+            return null;
+        } else if (previousStatus && previousStatus !== 'failed' &&
+            MESSAGE_STATUSES.indexOf(status) <= MESSAGE_STATUSES.indexOf(previousStatus)) {
+            return null;
+        }
+
+        const entry = { status, timestamp: timestamp || new Date().toISOString() };
+        if (participant) {
+            entry.participant = participant;
+        }
+
+        const record = this.upsert(channelId, {
+            id: messageId,
+            status,
+            statusHistory: [...(existing.statusHistory || []), entry]
+        });
+
+        return { record, previousStatus };
+    }
+
+    getMessage(channelId, messageId) {
+        return this.loadChannel(channelId).get(messageId) || null;
+    }
+
+    /**
+     * Se o contato (ou grupo) já enviou alguma mensagem ao canal
+     */
+    hasReceivedFrom(channelId, jid) {
+        if (!this.senders.has(channelId)) {
+            this.loadChannel(channelId);
+        }
+        return this.senders.get(channelId).has(jid);
+    }
+
+    /**
+     * Mensagens enviadas (pela API ou pelo aparelho) a partir de since (ISO 8601)
+     */
+    listOutgoingSince(channelId, since) {
+        return Array.from(this.loadChannel(channelId).values())
+            .filter(message => message.direction === 'outbound' && message.timestamp >= since);
+    }
+
+    /**
+     * Aplica a retenção e compacta o histórico de todos os canais
+     */
+    maintain() {
+        const cutoff = this.RETENTION_MS > 0 ? new Date(Date.now() - this.RETENTION_MS).toISOString() : null;
+
+        for (const channelId of this.listChannelIds()) {
+            try {
+                this.compact(channelId, cutoff);
+            } catch (error) {
+                logger.error(`Erro ao compactar histórico do canal ${channelId}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Descarta as mensagens anteriores a cutoff (ISO 8601, ou null para manter todas) e, se algo
+     * mudou ou o arquivo acumulou muitas atualizações, reescreve-o com uma linha por mensagem.
+     * Síncrono, para que nenhuma gravação de upsert() aconteça no meio da troca do arquivo.
+     */
+    compact(channelId, cutoff) {
+        const messages = this.loadChannel(channelId);
+
+        let expired = 0;
+        if (cutoff) {
+            for (const [id, message] of messages) {
+                if (message.timestamp && message.timestamp < cutoff) {
+                    messages.delete(id);
+                    if (this.messageIndex.get(id) === channelId) {
+                        this.messageIndex.delete(id);
+                    }
+                    expired++;
+                }
+            }
+        }
+
+        if (expired === 0 && this.lineCounts.get(channelId) <= Math.max(messages.size, 1) * COMPACTION_RATIO) {
+            return;
+        }
+
+        const filePath = this.getFilePath(channelId);
+        const tmpPath = `${filePath}.tmp`;
+        const content = Array.from(messages.values()).map(record => JSON.stringify(record) + '\n').join('');
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, filePath);
+
+        logger.info(`[${channelId}] Histórico compactado: ${this.lineCounts.get(channelId)} linha(s) -> ${messages.size}, ${expired} mensagem(ns) expirada(s)`);
+        this.lineCounts.set(channelId, messages.size);
+        if (expired > 0) {
+            this.indexSenders(channelId);
+        }
+    }
+
+    /**
+     * Procura uma mensagem pelo id em todos os canais com histórico gravado, pelo índice id -> canal.
+     * Canais ainda não lidos (normalmente todos já foram, na manutenção do start()) entram no índice aqui.
+     */
+    findMessage(messageId) {
+        if (!this.messageIndex.has(messageId)) {
+            for (const channelId of this.listChannelIds()) {
+                if (!this.indexedChannels.has(channelId)) {
+                    this.loadChannel(channelId);
+                    if (this.messageIndex.has(messageId)) {
+                        break;
+                    }
+                }
+            }
+        }
+
+        const channelId = this.messageIndex.get(messageId);
+        return channelId ? this.getMessage(channelId, messageId) : null;
+    }
+
+    listChannelIds() {
+        const channelIds = new Set(this.channels.keys());
+
+        if (fs.existsSync(this.dir)) {
+            for (const file of fs.readdirSync(this.dir)) {
+                if (file.endsWith('.jsonl')) {
+                    channelIds.add(decodeURIComponent(file.slice(0, -'.jsonl'.length)));
+                }
+            }
+        }
+
+        return Array.from(channelIds);
+    }
+
+    /**
+     * Lista mensagens da mais recente para a mais antiga, com paginação por cursor.
+     * O cursor é opaco para o cliente: basta repassar o nextCursor da página anterior.
+     */
+    listMessages(channelId, { jid, direction, type, since, until, cursor, limit } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const after = cursor ? this.decodeCursor(cursor) : null;
+
+        let messages = Array.from(this.loadChannel(channelId).values())
+            .filter(message => !jid || message.jid === jid)
+            .filter(message => !direction || message.direction === direction)
+            .filter(message => !type || message.type === type)
+            .filter(message => !since || message.timestamp >= since)
+            .filter(message => !until || message.timestamp <= until)
+            .sort((a, b) => this.compare(b, a));
+
+        if (after) {
+            messages = messages.filter(message => this.compare(message, after) < 0);
+        }
+
+        const page = messages.slice(0, pageSize);
+        const hasMore = messages.length > pageSize;
+
+        return {
+            messages: page,
+            nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+            hasMore
+        };
+    }
+
+    compare(a, b) {
+        if (a.timestamp !== b.timestamp) {
+            return a.timestamp < b.timestamp ? -1 : 1;
+        }
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+
+    encodeCursor(message) {
+        return Buffer.from(`${message.timestamp}|${message.id}`).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        const [timestamp, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+        if (!timestamp || !id) {
+            throw new Error('INVALID_CURSOR');
+        }
+        return { timestamp, id };
+    }
+}
+
+export default new MessageStoreService();
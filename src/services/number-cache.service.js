@@ -0,0 +1,98 @@
+/**
+ * Cache em memória das consultas onWhatsApp (número E.164 -> { exists, jid }), compartilhado por
+ * todos os canais e caminhos de envio. Evita repetir a consulta para o mesmo destinatário, o que
+ * reduz latência e o volume de consultas que aumenta o risco de bloqueio.
+ * Resultados negativos expiram antes: o número pode criar a conta no WhatsApp a qualquer momento.
+ */
+class NumberCacheService {
+    constructor() {
+        this.TTL_MS = (parseInt(process.env.NUMBER_CACHE_TTL_MINUTES) || 1440) * 60000;
+        this.NEGATIVE_TTL_MS = (parseInt(process.env.NUMBER_CACHE_NEGATIVE_TTL_MINUTES) || 60) * 60000;
+        this.MAX_ENTRIES = parseInt(process.env.NUMBER_CACHE_MAX_ENTRIES) || 50000;
+
+        // Map mantém a ordem de inserção: a primeira chave é a menos recente (LRU)
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * digits: número E.164 sem o "+". Retorna { exists, jid, checkedAt } ou null se ausente/expirado.
+     */
+    get(digits) {
+        const entry = this.entries.get(digits);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) {
+                this.entries.delete(digits);
+            }
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.delete(digits);
+        this.entries.set(digits, entry);
+        this.stats.hits++;
+
+        return { exists: entry.exists, jid: entry.jid, checkedAt: entry.checkedAt };
+    }
+
+    set(digits, { exists, jid }) {
+        const now = Date.now();
+
+        this.entries.delete(digits);
+        this.entries.set(digits, {
+            exists,
+            jid: jid || null,
+            checkedAt: new Date(now).toISOString(),
+            expiresAt: now + (exists ? this.TTL_MS : this.NEGATIVE_TTL_MS)
+        });
+
+        while (this.entries.size > this.MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Remove os números informados (dígitos E.164) ou, sem lista, todo o cache.
+     * Retorna quantas entradas foram removidas.
+     */
+    invalidate(digitsList = null) {
+        if (!digitsList) {
+            const removed = this.entries.size;
+            this.entries.clear();
+            return removed;
+        }
+
+        return digitsList.filter(digits => this.entries.delete(digits)).length;
+    }
+
+    getStats() {
+        const now = Date.now();
+        let positive = 0;
+        let negative = 0;
+
+        for (const entry of this.entries.values()) {
+            if (entry.expiresAt > now) {
+                entry.exists ? positive++ : negative++;
+            }
+        }
+
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            size: this.entries.size,
+            positive,
+            negative,
+            maxEntries: this.MAX_ENTRIES,
+            ttlMinutes: this.TTL_MS / 60000,
+            negativeTtlMinutes: this.NEGATIVE_TTL_MS / 60000,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(4)) : 0,
+            evictions: this.stats.evictions
+        };
+    }
+}
+
+export default new NumberCacheService();
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import whatsappService from './whatsapp.service.js';
+import eventBus from './event-bus.service.js';
+import sessionManager from '../sessions/manager.js';
+import { JsonStore } from '../utils/store.js';
+import { removeUpload } from '../utils/uploads.js';
+import { logger } from '../utils/logger.js';
+
+// Conteúdo base64 do job: gravado em disco (p.upload) pelas rotas; jobs antigos o trazem no payload
+const readBase64 = async (p) => (p.upload ? fs.readFile(p.upload.path) : p.base64);
+
+// Tipo do job -> chamada correspondente no WhatsAppService
+const JOB_HANDLERS = {
+    text: (p) => whatsappService.sendTextMessage(p.channelId, p.to, p.message, { quoted: p.quoted, mentions: p.mentions, typing: p.typing }),
+    document: (p) => whatsappService.sendDocument(p.channelId, p.to, p.fileUrl, p.fileName, p.caption, p.options),
+    image: (p) => whatsappService.sendImage(p.channelId, p.to, p.imageUrl, p.caption, p.options),
+    'image-base64': async (p) => whatsappService.sendImageBase64(p.channelId, p.to, await readBase64(p), p.caption, p.options),
+    'document-base64': async (p) => whatsappService.sendDocumentBase64(p.channelId, p.to, await readBase64(p), p.fileName, p.mimetype, p.caption, p.options),
+    location: (p) => whatsappService.sendLocation(p.channelId, p.to, p.location, { quoted: p.quoted, typing: p.typing }),
+    contact: (p) => whatsappService.sendContacts(p.channelId, p.to, p.contacts, { quoted: p.quoted, typing: p.typing }),
+    poll: (p) => whatsappService.sendPoll(p.channelId, p.to, p.poll, { quoted: p.quoted, typing: p.typing }),
+    upload: (p) => whatsappService.sendUpload(p.channelId, p.to, p.upload, p.caption, p.options)
+};
+
+// Erros que uma nova tentativa não vai resolver
+const PERMANENT_ERRORS = [
+    'INVALID_WHATSAPP_NUMBER', 'GROUP_NOT_FOUND', 'DOWNLOAD_FAILED', 'QUOTED_MESSAGE_NOT_FOUND',
+    'INVALID_URL', 'URL_NOT_ALLOWED', 'DOMAIN_NOT_ALLOWED', 'FILE_TOO_LARGE', 'CONTENT_TYPE_MISMATCH',
+    'INVALID_THUMBNAIL', 'CONVERSION_UNAVAILABLE', 'CONVERSION_FAILED'
+];
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Fila de envio persistida em disco, processada sequencialmente por canal.
+ * Jobs sobrevivem a reinícios do processo e são repetidos com backoff
+ * enquanto o canal está reconectando. Novos jobs, o início do envio e o status final são
+ * gravados na hora; o reagendamento de novas tentativas, em lote (saveSoon).
+ */
+class QueueService {
+    constructor() {
+        this.store = new JsonStore('jobs.json'); // jobId -> job
+        this.workers = new Set(); // canais com worker em execução
+        this.timers = new Map(); // channelId -> timeout do próximo job agendado
+        this.MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 10;
+        this.BASE_DELAY_MS = parseInt(process.env.QUEUE_RETRY_DELAY_MS) || 5000;
+        this.MAX_DELAY_MS = 60000;
+        this.RETENTION_MS = (parseInt(process.env.QUEUE_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+    }
+
+    start() {
+        const jobs = this.store.load();
+        const channelIds = new Set();
+
+        for (const job of Object.values(jobs)) {
+            // Job interrompido no meio do envio pelo reinício: volta para a fila
+            if (job.status === 'processing') {
+                job.status = 'queued';
+            }
+            if (job.status === 'queued') {
+                channelIds.add(job.channelId);
+            }
+        }
+
+        this.purgeFinishedJobs();
+        this.store.save();
+
+        logger.info(`Fila de envio iniciada com ${this.listJobs({ status: 'queued' }).length} job(s) pendente(s)`);
+        channelIds.forEach(channelId => this.kick(channelId));
+    }
+
+    enqueue(channelId, type, payload) {
+        if (!JOB_HANDLERS[type]) {
+            throw new Error('INVALID_JOB_TYPE');
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            channelId,
+            type,
+            payload: { ...payload, channelId },
+            status: 'queued',
+            attempts: 0,
+            maxAttempts: this.MAX_ATTEMPTS,
+            nextAttemptAt: now,
+            lastError: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.purgeFinishedJobs();
+        this.store.load()[job.id] = job;
+        this.store.save();
+
+        logger.info(`[${channelId}] Job ${job.id} (${type}) enfileirado`);
+        this.kick(channelId);
+
+        return job;
+    }
+
+    getJob(jobId) {
+        return this.store.load()[jobId] || null;
+    }
+
+    listJobs({ channelId, status } = {}) {
+        return Object.values(this.store.load())
+            .filter(job => !channelId || job.channelId === channelId)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    cancelJob(jobId) {
+        const job = this.getJob(jobId);
+        if (!job) {
+            throw new Error('JOB_NOT_FOUND');
+        }
+
+        if (job.status !== 'queued') {
+            throw new Error('JOB_NOT_CANCELLABLE');
+        }
+
+        this.updateJob(job, { status: 'cancelled' });
+        logger.info(`[${job.channelId}] Job ${job.id} cancelado`);
+
+        return job;
+    }
+
+    /**
+     * Garante que existe um worker processando a fila do canal
+     */
+    kick(channelId) {
+        if (this.workers.has(channelId)) {
+            return;
+        }
+
+        clearTimeout(this.timers.get(channelId));
+        this.timers.delete(channelId);
+
+        this.workers.add(channelId);
+        this.runWorker(channelId)
+            .catch(error => logger.error(`[${channelId}] Erro no worker da fila:`, error.message))
+            .finally(() => this.workers.delete(channelId));
+    }
+
+    async runWorker(channelId) {
+        while (true) {
+            const pending = this.listJobs({ channelId, status: 'queued' });
+            if (pending.length === 0) {
+                return;
+            }
+
+            const now = new Date().toISOString();
+            const job = pending.find(j => j.nextAttemptAt <= now);
+
+            if (!job) {
+                const nextAt = pending.reduce((min, j) => (j.nextAttemptAt < min ? j.nextAttemptAt : min), pending[0].nextAttemptAt);
+                const delay = Math.max(new Date(nextAt).getTime() - Date.now(), 0);
+
+                this.timers.set(channelId, setTimeout(() => {
+                    this.timers.delete(channelId);
+                    this.kick(channelId);
+                }, delay));
+                return;
+            }
+
+            await this.processJob(job);
+        }
+    }
+
+    async processJob(job) {
+        this.updateJob(job, { status: 'processing', attempts: job.attempts + 1 });
+
+        try {
+            const result = await JOB_HANDLERS[job.type](job.payload);
+
+            this.updateJob(job, { status: 'completed', result, lastError: null });
+            logger.info(`[${job.channelId}] Job ${job.id} concluído (tentativa ${job.attempts})`);
+
+            eventBus.publish(job.channelId, 'job.completed', this.toEventData(job));
+        } catch (error) {
+            // Política anti-ban do canal: espera a liberação sem gastar uma tentativa
+            if (error.message === 'RATE_LIMITED') {
+                this.updateJob(job, {
+                    status: 'queued',
+                    attempts: job.attempts - 1,
+                    lastError: error.message,
+                    nextAttemptAt: new Date(Date.now() + error.retryAfter * 1000).toISOString()
+                });
+                logger.warn(`[${job.channelId}] Job ${job.id} adiado por limite de envio (${error.limit}) por ${error.retryAfter}s`);
+                return;
+            }
+
+            const channelStatus = sessionManager.getChannelStatus(job.channelId)?.status;
+            const retryable = !PERMANENT_ERRORS.includes(error.message) &&
+                (error.message !== 'CHANNEL_NOT_CONNECTED' || sessionManager.isChannelRecovering(job.channelId));
+
+            if (retryable && job.attempts < job.maxAttempts) {
+                const delay = Math.min(this.BASE_DELAY_MS * Math.pow(2, job.attempts - 1), this.MAX_DELAY_MS);
+
+                this.updateJob(job, {
+                    status: 'queued',
+                    lastError: error.message,
+                    nextAttemptAt: new Date(Date.now() + delay).toISOString()
+                });
+                logger.warn(`[${job.channelId}] Job ${job.id} falhou (${error.message}, canal ${channelStatus}); nova tentativa em ${delay}ms`);
+                return;
+            }
+
+            this.updateJob(job, { status: 'failed', lastError: error.message });
+            logger.error(`[${job.channelId}] Job ${job.id} falhou definitivamente após ${job.attempts} tentativa(s): ${error.message}`);
+
+            eventBus.publish(job.channelId, 'job.failed', this.toEventData(job));
+        }
+    }
+
+    updateJob(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        const finished = FINAL_STATUSES.includes(job.status);
+        if (finished) {
+            job.finishedAt = job.updatedAt;
+        }
+
+        // Início do envio e status final são gravados na hora: perdê-los numa queda faria o
+        // job voltar para a fila e a mensagem ser enviada de novo
+        if (finished || job.status === 'processing') {
+            this.store.save();
+        } else {
+            this.store.saveSoon();
+        }
+
+        // Arquivo enviado por upload só é necessário até o job terminar (e o status final estar gravado)
+        if (finished) {
+            removeUpload(job.payload.upload);
+        }
+    }
+
+    purgeFinishedJobs() {
+        const jobs = this.store.load();
+        const limit = Date.now() - this.RETENTION_MS;
+
+        for (const [jobId, job] of Object.entries(jobs)) {
+            if (FINAL_STATUSES.includes(job.status) && new Date(job.finishedAt || job.updatedAt).getTime() < limit) {
+                delete jobs[jobId];
+            }
+        }
+    }
+
+    /**
+     * Representação pública do job, sem o conteúdo base64 do payload
+     */
+    describeJob(job) {
+        const { base64, ...payload } = job.payload;
+        return {
+            ...job,
+            payload: base64 ? { ...payload, base64: `<${base64.length} caracteres>` } : payload
+        };
+    }
+
+    toEventData(job) {
+        return {
+            jobId: job.id,
+            type: job.type,
+            status: job.status,
+            attempts: job.attempts,
+            to: job.payload.to,
+            result: job.result,
+            error: job.lastError
+        };
+    }
+}
+
+export default new QueueService();
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import { JsonStore } from '../utils/store.js';
+
+const DEFAULT_TTL_MINUTES = parseInt(process.env.SCAN_LINK_TTL_MINUTES) || 30;
+
+/**
+ * Links da página de escaneamento (/scan/:channelId?token=...), que não usa API Key.
+ * O token é "<expiraEm>.<assinatura>", com HMAC-SHA256 de "channelId.expiraEm" sobre um
+ * segredo gerado uma vez e mantido em DATA_DIR/scan-link.json (ou SCAN_LINK_SECRET).
+ */
+class ScanLinkService {
+    constructor() {
+        this.store = new JsonStore('scan-link.json');
+    }
+
+    getSecret() {
+        if (process.env.SCAN_LINK_SECRET) {
+            return process.env.SCAN_LINK_SECRET;
+        }
+
+        const data = this.store.load();
+        if (!data.secret) {
+            data.secret = crypto.randomBytes(32).toString('hex');
+            this.store.save();
+        }
+        return data.secret;
+    }
+
+    sign(channelId, expiresAt) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(`${channelId}.${expiresAt}`)
+            .digest('base64url');
+    }
+
+    createToken(channelId, ttlMinutes = DEFAULT_TTL_MINUTES) {
+        const expiresAt = Date.now() + ttlMinutes * 60000;
+        return {
+            token: `${expiresAt}.${this.sign(channelId, expiresAt)}`,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    verifyToken(channelId, token) {
+        if (typeof token !== 'string') {
+            return false;
+        }
+
+        const [expiresAt, signature] = token.split('.');
+        if (!/^\d+$/.test(expiresAt || '') || !signature || Number(expiresAt) < Date.now()) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(channelId, expiresAt));
+        const received = Buffer.from(signature);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+}
+
+export default new ScanLinkService();
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import queueService from './queue.service.js';
+import { JsonStore } from '../utils/store.js';
+import { removeUpload } from '../utils/uploads.js';
+import { logger } from '../utils/logger.js';
+
+// ISO 8601 com fuso explícito (Z ou ±hh:mm), para não depender do fuso do servidor
+const ISO_WITH_TIMEZONE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+export const MISSED_POLICIES = ['send', 'drop'];
+
+const FINAL_STATUSES = ['dispatched', 'cancelled', 'dropped', 'failed'];
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Envios agendados (sendAt). Persistidos em DATA_DIR/scheduled.json; quando chega a hora,
+ * o envio é entregue à fila (QueueService), que cuida das novas tentativas.
+ */
+class SchedulerService {
+    constructor() {
+        this.store = new JsonStore('scheduled.json'); // scheduledId -> agendamento
+        this.interval = null;
+        this.purgeTimer = null;
+        this.CHECK_INTERVAL_MS = 1000;
+        this.MISSED_POLICY = MISSED_POLICIES.includes(process.env.SCHEDULE_MISSED_POLICY)
+            ? process.env.SCHEDULE_MISSED_POLICY
+            : 'send';
+        // Atraso tolerado antes de um agendamento ser considerado perdido (servidor fora do ar)
+        this.MISSED_TOLERANCE_MS = parseInt(process.env.SCHEDULE_MISSED_TOLERANCE_MS) || 60000;
+        this.RETENTION_MS = (parseInt(process.env.SCHEDULE_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+    }
+
+    start() {
+        this.purgeFinished();
+        this.purgeTimer = setInterval(() => this.purgeFinished(), PURGE_INTERVAL_MS);
+        this.purgeTimer.unref();
+
+        const pending = this.listScheduled({ status: 'scheduled' });
+        logger.info(`Agendador iniciado com ${pending.length} envio(s) agendado(s)`);
+
+        this.tick();
+        this.interval = setInterval(() => this.tick(), this.CHECK_INTERVAL_MS);
+    }
+
+    isValidSendAt(sendAt) {
+        return typeof sendAt === 'string' && ISO_WITH_TIMEZONE.test(sendAt) && !isNaN(Date.parse(sendAt));
+    }
+
+    schedule(channelId, type, payload, { sendAt, missedPolicy }) {
+        if (!this.isValidSendAt(sendAt)) {
+            throw new Error('INVALID_SEND_AT');
+        }
+
+        if (new Date(sendAt).getTime() <= Date.now()) {
+            throw new Error('SEND_AT_IN_PAST');
+        }
+
+        if (missedPolicy !== undefined && !MISSED_POLICIES.includes(missedPolicy)) {
+            throw new Error('INVALID_MISSED_POLICY');
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+            id: crypto.randomUUID(),
+            channelId,
+            type,
+            payload,
+            sendAt: new Date(sendAt).toISOString(),
+            missedPolicy: missedPolicy || this.MISSED_POLICY,
+            status: 'scheduled',
+            jobId: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.store.load()[entry.id] = entry;
+        this.store.save();
+
+        logger.info(`[${channelId}] Envio ${entry.id} (${type}) agendado para ${entry.sendAt}`);
+        return entry;
+    }
+
+    getScheduled(scheduledId) {
+        return this.store.load()[scheduledId] || null;
+    }
+
+    listScheduled({ channelId, status } = {}) {
+        return Object.values(this.store.load())
+            .filter(entry => !channelId || entry.channelId === channelId)
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+    }
+
+    cancelScheduled(scheduledId) {
+        const entry = this.getScheduled(scheduledId);
+        if (!entry) {
+            throw new Error('SCHEDULED_NOT_FOUND');
+        }
+
+        if (entry.status !== 'scheduled') {
+            throw new Error('SCHEDULED_NOT_CANCELLABLE');
+        }
+
+        this.update(entry, { status: 'cancelled' });
+        logger.info(`[${entry.channelId}] Envio agendado ${entry.id} cancelado`);
+        return entry;
+    }
+
+    tick() {
+        const now = Date.now();
+
+        for (const entry of this.listScheduled({ status: 'scheduled' })) {
+            const dueAt = new Date(entry.sendAt).getTime();
+            if (dueAt > now) {
+                break; // lista ordenada por sendAt
+            }
+
+            const late = now - dueAt > this.MISSED_TOLERANCE_MS;
+            if (late && entry.missedPolicy === 'drop') {
+                this.update(entry, { status: 'dropped' });
+                logger.warn(`[${entry.channelId}] Envio agendado ${entry.id} descartado: horário ${entry.sendAt} perdido`);
+                continue;
+            }
+
+            try {
+                const job = queueService.enqueue(entry.channelId, entry.type, entry.payload);
+                this.update(entry, { status: 'dispatched', jobId: job.id, dispatchedAt: new Date().toISOString(), late });
+                if (late) {
+                    logger.warn(`[${entry.channelId}] Envio agendado ${entry.id} enviado com atraso (previsto para ${entry.sendAt})`);
+                }
+            } catch (error) {
+                this.update(entry, { status: 'failed', error: error.message });
+                logger.error(`[${entry.channelId}] Erro ao disparar envio agendado ${entry.id}:`, error.message);
+            }
+        }
+    }
+
+    update(entry, changes) {
+        Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+        if (FINAL_STATUSES.includes(entry.status)) {
+            entry.finishedAt = entry.updatedAt;
+        }
+        // Despachado: o upload passa a ser da fila; nos demais status finais não será mais enviado
+        if (['cancelled', 'dropped', 'failed'].includes(entry.status)) {
+            removeUpload(entry.payload.upload);
+        }
+        this.store.save();
+    }
+
+    /**
+     * Remove os agendamentos finalizados há mais de SCHEDULE_RETENTION_HOURS, para que o
+     * scheduled.json (regravado a cada mudança de status) não cresça indefinidamente
+     */
+    purgeFinished() {
+        const entries = this.store.load();
+        const limit = Date.now() - this.RETENTION_MS;
+        const expired = Object.keys(entries).filter(id => FINAL_STATUSES.includes(entries[id].status) &&
+            new Date(entries[id].finishedAt || entries[id].updatedAt).getTime() < limit);
+
+        if (expired.length > 0) {
+            expired.forEach(id => delete entries[id]);
+            this.store.save();
+            logger.debug(`${expired.length} agendamento(s) finalizado(s) removido(s)`);
+        }
+    }
+
+    describeScheduled(entry) {
+        const { base64, ...payload } = entry.payload;
+        return {
+            ...entry,
+            payload: base64 ? { ...payload, base64: `<${base64.length} caracteres>` } : payload
+        };
+    }
+}
+
+export default new SchedulerService();
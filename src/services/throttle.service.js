@@ -0,0 +1,272 @@
+import channelRegistry from '../sessions/registry.js';
+import messageStore from './message-store.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Variáveis não definidas usam o padrão; 0 desativa o limite
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export const POLICY_FIELDS = [
+    'ratePerMinute', 'burst', 'minDelayMs', 'jitterMs',
+    'hourlyLimit', 'dailyLimit', 'newContactsHourlyLimit', 'newContactsDailyLimit'
+];
+
+// Intervalos: quanto maior, mais restritivo. Os demais campos são limites: quanto menor, mais restritivo
+const DELAY_FIELDS = ['minDelayMs', 'jitterMs'];
+
+const DEFAULT_POLICY = {
+    ratePerMinute: envNumber('THROTTLE_RATE_PER_MINUTE', 20),
+    burst: envNumber('THROTTLE_BURST', 5),
+    minDelayMs: envNumber('THROTTLE_MIN_DELAY_MS', 1000),
+    jitterMs: envNumber('THROTTLE_JITTER_MS', 1000),
+    hourlyLimit: envNumber('THROTTLE_HOURLY_LIMIT', 300),
+    dailyLimit: envNumber('THROTTLE_DAILY_LIMIT', 1500),
+    // Desativadas por padrão: o histórico local não conhece as conversas anteriores à API, e
+    // clientes antigos contariam como novos contatos
+    newContactsHourlyLimit: envNumber('THROTTLE_NEW_CONTACTS_HOURLY_LIMIT', 0),
+    newContactsDailyLimit: envNumber('THROTTLE_NEW_CONTACTS_DAILY_LIMIT', 0)
+};
+
+// Perfil dos primeiros dias de um número recém-pareado
+const DEFAULT_WARMUP_POLICY = {
+    ratePerMinute: 4,
+    burst: 2,
+    minDelayMs: 3000,
+    jitterMs: 4000,
+    hourlyLimit: 40,
+    dailyLimit: 150,
+    newContactsHourlyLimit: 0,
+    newContactsDailyLimit: 0
+};
+
+const DEFAULT_WARMUP_DAYS = envNumber('THROTTLE_WARMUP_DAYS', 7);
+
+function isUnlimited(value) {
+    return !value;
+}
+
+/**
+ * Campo a campo, o valor mais restritivo das duas políticas
+ */
+function stricter(policy, other) {
+    const result = { ...policy };
+    for (const field of POLICY_FIELDS) {
+        if (DELAY_FIELDS.includes(field)) {
+            result[field] = Math.max(policy[field], other[field]);
+        } else if (isUnlimited(policy[field]) || isUnlimited(other[field])) {
+            result[field] = isUnlimited(policy[field]) ? other[field] : policy[field];
+        } else {
+            result[field] = Math.min(policy[field], other[field]);
+        }
+    }
+    return result;
+}
+
+function pickPolicy(values = {}) {
+    return Object.fromEntries(POLICY_FIELDS
+        .filter(field => values[field] !== undefined && values[field] !== null)
+        .map(field => [field, values[field]]));
+}
+
+/**
+ * Política anti-ban dos envios de cada canal:
+ * - token bucket: ratePerMinute envios por minuto, com rajadas de até burst envios;
+ * - intervalo mínimo (minDelayMs) entre envios, com variação aleatória de até jitterMs;
+ * - cotas por hora e por dia (janelas móveis), inclusive para contatos que nunca escreveram ao canal;
+ * - perfil de aquecimento mais restrito nos primeiros warmupDays após o pareamento do número.
+ * Padrões por variáveis THROTTLE_*, sobrescritos em settings.throttle do canal; 0 desativa um limite.
+ * O uso fica em memória e, após um reinício, as cotas são reconstruídas a partir do histórico.
+ */
+class ThrottleService {
+    constructor() {
+        this.usage = new Map(); // channelId -> { tokens, refilledAt, sends: [ms], newContactSends: [ms] }
+    }
+
+    /**
+     * Política em vigor para o canal e o estado do aquecimento
+     */
+    getPolicy(channelId) {
+        const record = channelRegistry.get(channelId);
+        const settings = record?.settings?.throttle || {};
+        const policy = { ...DEFAULT_POLICY, ...pickPolicy(settings) };
+
+        const warmupDays = settings.warmupDays ?? DEFAULT_WARMUP_DAYS;
+        const pairedAt = record?.pairedAt ? new Date(record.pairedAt).getTime() : null;
+        const warmupEndsAt = pairedAt && warmupDays > 0 ? pairedAt + warmupDays * DAY_MS : null;
+
+        if (!warmupEndsAt || warmupEndsAt <= Date.now()) {
+            return { policy, warmup: null };
+        }
+
+        const warmupPolicy = { ...DEFAULT_WARMUP_POLICY, ...pickPolicy(settings.warmup) };
+        return {
+            policy: stricter(policy, warmupPolicy),
+            warmup: { endsAt: new Date(warmupEndsAt).toISOString() }
+        };
+    }
+
+    /**
+     * Reserva um envio para jid. Lança RATE_LIMITED (com error.limit e error.retryAfter, em
+     * segundos) quando a política não permite o envio agora. Retorna a reserva, com
+     * { minDelayMs, jitterMs } para o espaçamento entre envios; se o envio falhar, ela deve ser
+     * devolvida com release() para não consumir as cotas.
+     */
+    acquire(channelId, jid) {
+        const { policy } = this.getPolicy(channelId);
+        const state = this.getUsage(channelId, policy);
+        const now = Date.now();
+        const newContact = this.isNewContact(channelId, jid);
+
+        const violation = this.check(state, policy, newContact, now);
+        if (violation) {
+            const error = new Error('RATE_LIMITED');
+            error.limit = violation.limit;
+            error.retryAfter = Math.max(Math.ceil(violation.retryAfterMs / 1000), 1);
+            throw error;
+        }
+
+        const token = !isUnlimited(policy.ratePerMinute);
+        if (token) {
+            state.tokens -= 1;
+        }
+        state.sends.push(now);
+        if (newContact) {
+            state.newContactSends.push(now);
+        }
+
+        return { channelId, at: now, token, newContact, minDelayMs: policy.minDelayMs, jitterMs: policy.jitterMs };
+    }
+
+    /**
+     * Devolve uma reserva de acquire() cujo envio falhou
+     */
+    release(reservation) {
+        const state = this.usage.get(reservation.channelId);
+        if (!state) {
+            return;
+        }
+
+        // getUsage limita os tokens à capacidade no próximo reabastecimento
+        if (reservation.token) {
+            state.tokens += 1;
+        }
+        this.removeSend(state.sends, reservation.at);
+        if (reservation.newContact) {
+            this.removeSend(state.newContactSends, reservation.at);
+        }
+    }
+
+    /**
+     * Uso atual do canal para o endpoint de status
+     */
+    describe(channelId) {
+        const { policy, warmup } = this.getPolicy(channelId);
+        const state = this.getUsage(channelId, policy);
+        const now = Date.now();
+        const violation = this.check(state, policy, false, now);
+
+        return {
+            policy,
+            warmup,
+            usage: {
+                lastHour: this.countSince(state.sends, now - HOUR_MS),
+                lastDay: state.sends.length,
+                newContactsLastHour: this.countSince(state.newContactSends, now - HOUR_MS),
+                newContactsLastDay: state.newContactSends.length,
+                availableTokens: isUnlimited(policy.ratePerMinute) ? null : Math.floor(state.tokens)
+            },
+            limited: violation
+                ? { limit: violation.limit, retryAfter: Math.max(Math.ceil(violation.retryAfterMs / 1000), 1) }
+                : null
+        };
+    }
+
+    /**
+     * Primeira violação da política para um novo envio, ou null. newContact: o destinatário
+     * nunca escreveu ao canal (as cotas de novos contatos não se aplicam aos demais).
+     */
+    check(state, policy, newContact, now) {
+        if (!isUnlimited(policy.ratePerMinute) && state.tokens < 1) {
+            return { limit: 'rate', retryAfterMs: (1 - state.tokens) * MINUTE_MS / policy.ratePerMinute };
+        }
+
+        const windows = [
+            ['hourly', state.sends, policy.hourlyLimit, HOUR_MS],
+            ['daily', state.sends, policy.dailyLimit, DAY_MS]
+        ];
+        if (newContact) {
+            windows.push(
+                ['new_contacts_hourly', state.newContactSends, policy.newContactsHourlyLimit, HOUR_MS],
+                ['new_contacts_daily', state.newContactSends, policy.newContactsDailyLimit, DAY_MS]
+            );
+        }
+
+        for (const [limit, sends, max, windowMs] of windows) {
+            if (isUnlimited(max)) {
+                continue;
+            }
+            const inWindow = sends.filter(time => time > now - windowMs);
+            if (inWindow.length >= max) {
+                // Libera quando sair da janela o envio que deixa o total abaixo do limite
+                return { limit, retryAfterMs: inWindow[inWindow.length - max] + windowMs - now };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Estado do canal com os tokens reabastecidos e os envios de mais de 24h descartados
+     */
+    getUsage(channelId, policy) {
+        const now = Date.now();
+        const capacity = Math.max(policy.burst, 1);
+        let state = this.usage.get(channelId);
+
+        if (!state) {
+            const since = new Date(now - DAY_MS).toISOString();
+            const sent = messageStore.listOutgoingSince(channelId, since)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+            state = {
+                tokens: capacity,
+                refilledAt: now,
+                sends: sent.map(message => new Date(message.timestamp).getTime()),
+                newContactSends: sent
+                    .filter(message => this.isNewContact(channelId, message.jid))
+                    .map(message => new Date(message.timestamp).getTime())
+            };
+            this.usage.set(channelId, state);
+        }
+
+        state.tokens = Math.min(state.tokens + (now - state.refilledAt) * policy.ratePerMinute / MINUTE_MS, capacity);
+        state.refilledAt = now;
+
+        state.sends = state.sends.filter(time => time > now - DAY_MS);
+        state.newContactSends = state.newContactSends.filter(time => time > now - DAY_MS);
+
+        return state;
+    }
+
+    isNewContact(channelId, jid) {
+        return !jid.endsWith('@g.us') && !messageStore.hasReceivedFrom(channelId, jid);
+    }
+
+    removeSend(sends, time) {
+        const index = sends.lastIndexOf(time);
+        if (index !== -1) {
+            sends.splice(index, 1);
+        }
+    }
+
+    countSince(sends, since) {
+        return sends.filter(time => time > since).length;
+    }
+}
+
+export default new ThrottleService();
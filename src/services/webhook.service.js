@@ -0,0 +1,196 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { JsonStore } from '../utils/store.js';
+import eventBus, { SENSITIVE_EVENTS } from './event-bus.service.js';
+import { logger } from '../utils/logger.js';
+
+class WebhookService {
+    constructor() {
+        this.store = new JsonStore('webhooks.json'); // channelId -> { url, secret, events, ... }
+        // Entregas pendentes, para retomar as novas tentativas após um reinício
+        this.deliveries = new JsonStore('webhook-deliveries.json'); // deliveryId -> { id, channelId, event, body, attempt, nextAttemptAt }
+        this.MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        this.BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 2000; // 2s, 4s, 8s...
+        this.MAX_DELAY_MS = 5 * 60 * 1000;
+        this.TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+    }
+
+    /**
+     * Retoma as entregas pendentes e passa a entregar os eventos do barramento
+     * (exceto QR Code / código de pareamento)
+     */
+    start() {
+        const pending = Object.values(this.deliveries.load());
+        if (pending.length > 0) {
+            logger.info(`Retomando ${pending.length} entrega(s) de webhook pendente(s)`);
+        }
+        for (const delivery of pending) {
+            const delay = Math.max(new Date(delivery.nextAttemptAt).getTime() - Date.now(), 0);
+            setTimeout(() => this.deliver(delivery), delay);
+        }
+
+        eventBus.subscribe(({ channelId, type, data }) => {
+            if (!SENSITIVE_EVENTS.includes(type)) {
+                this.dispatch(channelId, type, data);
+            }
+        });
+    }
+
+    getWebhook(channelId) {
+        return this.store.load()[channelId] || null;
+    }
+
+    setWebhook(channelId, { url, secret, events }) {
+        if (typeof url !== 'string' || (!url.startsWith('http://') && !url.startsWith('https://'))) {
+            throw new Error('INVALID_WEBHOOK_URL');
+        }
+        if (secret !== undefined && secret !== null && (typeof secret !== 'string' || !secret.trim())) {
+            throw new Error('INVALID_WEBHOOK_SECRET');
+        }
+        if (events !== undefined && events !== null && (!Array.isArray(events) || !events.every(event => typeof event === 'string'))) {
+            throw new Error('INVALID_EVENTS');
+        }
+
+        const webhooks = this.store.load();
+        const current = webhooks[channelId];
+
+        webhooks[channelId] = {
+            url,
+            secret: secret || current?.secret || crypto.randomBytes(24).toString('hex'),
+            events: Array.isArray(events) && events.length > 0 ? events : ['*'],
+            createdAt: current?.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.store.save();
+
+        logger.info(`Webhook configurado para canal ${channelId}: ${url}`);
+        return webhooks[channelId];
+    }
+
+    removeWebhook(channelId) {
+        const webhooks = this.store.load();
+        if (!webhooks[channelId]) {
+            return false;
+        }
+
+        delete webhooks[channelId];
+        this.store.save();
+
+        logger.info(`Webhook removido do canal ${channelId}`);
+        return true;
+    }
+
+    /**
+     * Enfileira a entrega de um evento para o webhook do canal.
+     * Não bloqueia quem chamou: falhas são tratadas com novas tentativas em background.
+     */
+    dispatch(channelId, event, data) {
+        const webhook = this.getWebhook(channelId);
+        if (!webhook) {
+            return null;
+        }
+
+        if (!webhook.events.includes('*') && !webhook.events.includes(event)) {
+            return null;
+        }
+
+        const delivery = {
+            id: crypto.randomUUID(),
+            channelId,
+            body: JSON.stringify({
+                event,
+                channelId,
+                timestamp: new Date().toISOString(),
+                data
+            }),
+            event,
+            attempt: 0,
+            nextAttemptAt: new Date().toISOString()
+        };
+
+        this.deliveries.load()[delivery.id] = delivery;
+        this.deliveries.save();
+
+        this.deliver(delivery);
+        return delivery.id;
+    }
+
+    async deliver(delivery) {
+        // Lê a configuração a cada tentativa para respeitar alterações/remoções feitas no meio do caminho
+        const webhook = this.getWebhook(delivery.channelId);
+        if (!webhook) {
+            this.finish(delivery);
+            return;
+        }
+
+        delivery.attempt++;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        try {
+            await axios({
+                method: 'POST',
+                url: webhook.url,
+                data: delivery.body,
+                timeout: this.TIMEOUT_MS,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'MGA-WhatsApp-Webhook/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.body)}`
+                }
+            });
+
+            logger.debug(`[${delivery.channelId}] Webhook ${delivery.event} entregue (tentativa ${delivery.attempt})`);
+            this.finish(delivery);
+        } catch (error) {
+            const status = error.response?.status;
+            logger.warn(`[${delivery.channelId}] Falha ao entregar webhook ${delivery.event} (tentativa ${delivery.attempt}/${this.MAX_ATTEMPTS}):`, status || error.message);
+
+            // 4xx (exceto 408/429) indica que o destino rejeitou o payload; repetir não vai ajudar
+            if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+                this.finish(delivery);
+                return;
+            }
+
+            if (delivery.attempt >= this.MAX_ATTEMPTS) {
+                logger.error(`[${delivery.channelId}] Webhook ${delivery.event} descartado após ${delivery.attempt} tentativas (delivery ${delivery.id})`);
+                this.finish(delivery);
+                return;
+            }
+
+            const delay = Math.min(this.BASE_DELAY_MS * Math.pow(2, delivery.attempt - 1), this.MAX_DELAY_MS);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.deliveries.load()[delivery.id] = delivery;
+            this.deliveries.save();
+
+            setTimeout(() => this.deliver(delivery), delay);
+        }
+    }
+
+    /**
+     * Entrega concluída ou descartada: deixa de ser retomada após um reinício
+     */
+    finish(delivery) {
+        const deliveries = this.deliveries.load();
+        if (deliveries[delivery.id]) {
+            delete deliveries[delivery.id];
+            this.deliveries.save();
+        }
+    }
+
+    /**
+     * Configuração para exibição: o secret só é devolvido por completo ao ser configurado
+     */
+    describeWebhook(webhook) {
+        const { secret, ...rest } = webhook;
+        return { ...rest, secretPrefix: secret.slice(0, 6) };
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+export default new WebhookService();
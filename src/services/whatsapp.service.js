@@ -1,15 +1,43 @@
 import sessionManager from '../sessions/manager.js';
-import axios from 'axios';
+import messageStore from './message-store.service.js';
+import eventBus from './event-bus.service.js';
+import numberCache from './number-cache.service.js';
+import throttleService from './throttle.service.js';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { parsePhoneNumber, getPhoneVariants, resolveCountry } from '../utils/phone.js';
+import { safeFetch } from '../utils/safe-fetch.js';
+import { checkFileType, detectFileType } from '../utils/file-type.js';
+import { getCapabilities, toVoiceNote, toSticker, toThumbnail } from '../utils/ffmpeg.js';
+
+// Variáveis não definidas ou inválidas usam o padrão; 0 é um valor aceito
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
 
 class WhatsAppService {
     constructor() {
         this.lastMessageTime = new Map();
-        this.MIN_DELAY_MS = 1000; // Delay mínimo entre mensagens
+        this.CHECK_BATCH_SIZE = parseInt(process.env.NUMBER_CHECK_BATCH_SIZE) || 50;
+        this.CHECK_BATCH_DELAY_MS = parseInt(process.env.NUMBER_CHECK_BATCH_DELAY_MS) || 1000;
+        // Prazos do WhatsApp para editar e apagar para todos
+        this.EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60000;
+        this.REVOKE_WINDOW_MS = (parseInt(process.env.MESSAGE_REVOKE_WINDOW_HOURS) || 48) * 3600000;
+        // "digitando..." antes do envio: padrões de settings.typing
+        this.TYPING_DEFAULTS = {
+            enabled: false,
+            minMs: envNumber('TYPING_MIN_MS', 1000),
+            maxMs: envNumber('TYPING_MAX_MS', 8000),
+            msPerChar: envNumber('TYPING_MS_PER_CHAR', 50)
+        };
     }
 
-    async sendTextMessage(channelId, to, message) {
+    /**
+     * options: { quoted: id de uma mensagem do histórico a responder, mentions: JIDs mencionados,
+     *   typing: simular "digitando..." antes do envio (padrão: settings.typing do canal) }
+     */
+    async sendTextMessage(channelId, to, message, { quoted, mentions, typing } = {}) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -27,24 +55,20 @@ class WhatsAppService {
 
             logger.info(`[${channelId}] Usuário conectado: ${socket.user.id}`);
 
-            await this.applyMessageDelay(channelId);
-
-            const formattedNumber = this.formatWhatsAppNumber(to);
-            logger.info(`[${channelId}] Número formatado: ${to} -> ${formattedNumber}`);
-
             try {
-                const [exists] = await socket.onWhatsApp(formattedNumber);
-                logger.info(`[${channelId}] Verificação onWhatsApp:`, exists);
+                const jid = await this.resolveRecipient(channelId, socket, to);
+                logger.info(`[${channelId}] JID confirmado: ${jid}`);
 
-                if (!exists?.exists) {
-                    throw new Error('INVALID_WHATSAPP_NUMBER');
+                const content = { text: message };
+                if (mentions?.length) {
+                    content.mentions = mentions;
                 }
 
-                const jid = exists.jid;
-                logger.info(`[${channelId}] JID confirmado: ${jid}`);
-
                 logger.info(`[${channelId}] Enviando mensagem para ${jid}...`);
-                const result = await socket.sendMessage(jid, { text: message });
+                const result = await this.deliver(channelId, socket, jid, () => content, {
+                    typing: { text: message, typing },
+                    sendOptions: this.getSendOptions(channelId, jid, quoted)
+                });
 
                 logger.info(`[${channelId}] Resultado do envio:`, {
                     messageId: result?.key?.id,
@@ -52,7 +76,14 @@ class WhatsAppService {
                     status: result?.status
                 });
 
-                this.lastMessageTime.set(channelId, Date.now());
+                this.recordOutgoingMessage(channelId, {
+                    id: result.key.id,
+                    jid,
+                    type: 'text',
+                    text: message,
+                    quotedMessageId: quoted || null,
+                    mentions: mentions || []
+                });
                 logger.info(`Mensagem enviada para ${to} via canal ${channelId}`);
 
                 return {
@@ -77,7 +108,7 @@ class WhatsAppService {
         }
     }
 
-    async sendDocument(channelId, to, fileUrl, fileName, caption = '') {
+    async sendDocument(channelId, to, fileUrl, fileName, caption = '', options = {}) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -88,49 +119,30 @@ class WhatsAppService {
                 throw new Error('CHANNEL_NOT_CONNECTED');
             }
 
-            await this.applyMessageDelay(channelId);
-
-            const fileBuffer = await this.downloadFile(fileUrl);
-            const formattedNumber = this.formatWhatsAppNumber(to);
+            const jid = await this.resolveRecipient(channelId, socket, to);
 
             const fileExtension = path.extname(fileName).toLowerCase();
             const mimeType = this.getMimeType(fileExtension);
-
-            let messageContent;
-
-            if (this.isImageType(fileExtension)) {
-                messageContent = {
-                    image: fileBuffer,
-                    caption: caption
-                };
-            } else if (this.isVideoType(fileExtension)) {
-                messageContent = {
-                    video: fileBuffer,
-                    caption: caption
-                };
-            } else if (this.isAudioType(fileExtension)) {
-                messageContent = {
-                    audio: fileBuffer,
-                    mimetype: mimeType
-                };
-            } else {
-                messageContent = {
-                    document: fileBuffer,
-                    mimetype: mimeType,
-                    fileName: fileName,
-                    caption: caption
-                };
-            }
-
-            const result = await socket.sendMessage(formattedNumber, messageContent);
-
-            this.lastMessageTime.set(channelId, Date.now());
+            const mediaType = this.getMediaType(fileExtension);
+
+            const result = await this.deliver(channelId, socket, jid, async () => {
+                const fileBuffer = await this.downloadFile(channelId, fileUrl, fileExtension);
+                return this.buildMediaContent(mediaType, fileBuffer, { fileName, mimetype: mimeType, caption }, options);
+            }, { typing: { text: caption, recording: options.ptt, typing: options.typing } });
+
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                type: options.sticker ? 'sticker' : mediaType,
+                caption,
+                media: { url: fileUrl, fileName, mimetype: mimeType }
+            });
             logger.info(`Arquivo ${fileName} enviado para ${to} via canal ${channelId}`);
 
             return {
                 success: true,
                 messageId: result.key.id,
-                to: formattedNumber,
+                to: jid,
                 fileName,
                 caption
             };
@@ -145,7 +157,7 @@ class WhatsAppService {
         }
     }
 
-    async sendImage(channelId, to, imageUrl, caption = '') {
+    async sendImage(channelId, to, imageUrl, caption = '', options = {}) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -156,21 +168,22 @@ class WhatsAppService {
                 throw new Error('CHANNEL_NOT_CONNECTED');
             }
 
-            await this.applyMessageDelay(channelId);
-            const formattedNumber = this.formatWhatsAppNumber(to);
-
-            const [exists] = await socket.onWhatsApp(formattedNumber);
-            if (!exists?.exists) {
-                throw new Error('INVALID_WHATSAPP_NUMBER');
-            }
-            const jid = exists.jid;
-
-            const result = await socket.sendMessage(jid, {
-                image: { url: imageUrl },
-                caption: caption
+            const jid = await this.resolveRecipient(channelId, socket, to);
+
+            const result = await this.deliver(channelId, socket, jid, async () => {
+                // Baixado aqui, e não pelo Baileys, para passar pelas mesmas proteções dos documentos.
+                // Qualquer formato de imagem é aceito, independente da extensão da URL.
+                const imageBuffer = await this.downloadFile(channelId, imageUrl, '.jpg');
+                return this.buildMediaContent('image', imageBuffer, { caption }, options);
+            }, { typing: { text: caption, recording: options.ptt, typing: options.typing } });
+
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                type: options.sticker ? 'sticker' : 'image',
+                caption,
+                media: { url: imageUrl }
             });
-
-            this.lastMessageTime.set(channelId, Date.now());
             logger.info(`Imagem enviada para ${to} via canal ${channelId}`);
 
             return {
@@ -186,7 +199,7 @@ class WhatsAppService {
         }
     }
 
-    async sendImageBase64(channelId, to, base64Data, caption = '') {
+    async sendImageBase64(channelId, to, base64Data, caption = '', options = {}) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -197,23 +210,20 @@ class WhatsAppService {
                 throw new Error('CHANNEL_NOT_CONNECTED');
             }
 
-            await this.applyMessageDelay(channelId);
-            const formattedNumber = this.formatWhatsAppNumber(to);
-
-            const [exists] = await socket.onWhatsApp(formattedNumber);
-            if (!exists?.exists) {
-                throw new Error('INVALID_WHATSAPP_NUMBER');
-            }
-            const jid = exists.jid;
-
+            const jid = await this.resolveRecipient(channelId, socket, to);
             const imageBuffer = this.base64ToBuffer(base64Data);
 
-            const result = await socket.sendMessage(jid, {
-                image: imageBuffer,
-                caption: caption
-            });
+            const result = await this.deliver(channelId, socket, jid,
+                () => this.buildMediaContent('image', imageBuffer, { caption }, options),
+                { typing: { text: caption, recording: options.ptt, typing: options.typing } });
 
-            this.lastMessageTime.set(channelId, Date.now());
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                type: options.sticker ? 'sticker' : 'image',
+                caption,
+                media: { size: imageBuffer.length }
+            });
             logger.info(`Imagem (base64) enviada para ${to} via canal ${channelId}`);
 
             return {
@@ -228,7 +238,7 @@ class WhatsAppService {
         }
     }
 
-    async sendDocumentBase64(channelId, to, base64Data, fileName, mimetype, caption = '') {
+    async sendDocumentBase64(channelId, to, base64Data, fileName, mimetype, caption = '', options = {}) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -239,70 +249,667 @@ class WhatsAppService {
                 throw new Error('CHANNEL_NOT_CONNECTED');
             }
 
-            await this.applyMessageDelay(channelId);
-            const formattedNumber = this.formatWhatsAppNumber(to);
-
-            const [exists] = await socket.onWhatsApp(formattedNumber);
-            if (!exists?.exists) {
-                throw new Error('INVALID_WHATSAPP_NUMBER');
-            }
-            const jid = exists.jid;
-
+            const jid = await this.resolveRecipient(channelId, socket, to);
             const fileBuffer = this.base64ToBuffer(base64Data);
 
             const fileExtension = path.extname(fileName).toLowerCase();
             const mimeType = mimetype || this.getMimeType(fileExtension);
+            const mediaType = this.getMediaType(fileExtension);
+
+            const result = await this.deliver(channelId, socket, jid,
+                () => this.buildMediaContent(mediaType, fileBuffer, { fileName, mimetype: mimeType, caption }, options),
+                { typing: { text: caption, recording: options.ptt, typing: options.typing } });
+
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                type: options.sticker ? 'sticker' : mediaType,
+                caption,
+                media: { fileName, mimetype: mimeType, size: fileBuffer.length }
+            });
+            logger.info(`Documento ${fileName} (base64) enviado para ${to} via canal ${channelId}`);
 
-            let messageContent;
+            return {
+                success: true,
+                messageId: result.key.id,
+                to: jid,
+                fileName,
+                caption
+            };
+        } catch (error) {
+            logger.error(`Erro ao enviar documento base64 (${channelId}):`, error.message);
+            throw error;
+        }
+    }
 
-            if (this.isImageType(fileExtension)) {
-                messageContent = {
-                    image: fileBuffer,
-                    caption: caption
-                };
-            } else if (this.isVideoType(fileExtension)) {
-                messageContent = {
-                    video: fileBuffer,
-                    caption: caption
-                };
-            } else if (this.isAudioType(fileExtension)) {
-                messageContent = {
-                    audio: fileBuffer,
-                    mimetype: mimeType
-                };
-            } else {
-                messageContent = {
-                    document: fileBuffer,
-                    mimetype: mimeType,
-                    fileName: fileName,
-                    caption: caption
-                };
+    async sendLocation(channelId, to, location, { quoted, typing } = {}) {
+        const { latitude, longitude, name, address } = this.normalizeLocation(location);
+
+        return this.sendContent(channelId, to, {
+            location: {
+                degreesLatitude: latitude,
+                degreesLongitude: longitude,
+                name: name || undefined,
+                address: address || undefined
             }
+        }, {
+            type: 'location',
+            location: { latitude, longitude, name, address },
+            quoted,
+            typing
+        });
+    }
 
-            const result = await socket.sendMessage(jid, messageContent);
+    async sendContacts(channelId, to, contacts, { quoted, typing } = {}) {
+        const normalized = this.normalizeContacts(contacts, this.getDefaultCountry(channelId));
 
-            this.lastMessageTime.set(channelId, Date.now());
-            logger.info(`Documento ${fileName} (base64) enviado para ${to} via canal ${channelId}`);
+        return this.sendContent(channelId, to, {
+            contacts: {
+                displayName: normalized.length === 1 ? normalized[0].name : `${normalized.length} contatos`,
+                contacts: normalized.map(contact => ({ displayName: contact.name, vcard: this.buildVCard(contact) }))
+            }
+        }, {
+            type: 'contact',
+            contacts: normalized,
+            quoted,
+            typing
+        });
+    }
+
+    async sendPoll(channelId, to, poll, { quoted, typing } = {}) {
+        const { name, options, selectableCount } = this.normalizePoll(poll);
+
+        return this.sendContent(channelId, to, {
+            poll: { name, values: options, selectableCount }
+        }, {
+            type: 'poll',
+            poll: { name, options, selectableCount },
+            quoted,
+            typing
+        });
+    }
+
+    /**
+     * Reage a uma mensagem do histórico do canal. emoji vazio remove a reação.
+     */
+    async sendReaction(channelId, messageId, emoji) {
+        const target = messageStore.getMessage(channelId, messageId);
+        if (!target) {
+            throw new Error('MESSAGE_NOT_FOUND');
+        }
+        if (typeof emoji !== 'string' || [...emoji].length > 10) {
+            throw new Error('INVALID_REACTION');
+        }
+
+        const socket = this.getConnectedSocket(channelId);
+        const result = await this.deliver(channelId, socket, target.jid, () => ({
+            react: { text: emoji, key: this.getMessageKey(target) }
+        }), { typing: { typing: false } });
+
+        this.recordOutgoingMessage(channelId, {
+            id: result.key.id,
+            jid: target.jid,
+            type: 'reaction',
+            reaction: { emoji: emoji || null, messageId, removed: !emoji }
+        });
+        logger.info(`Reação ${emoji || '(removida)'} enviada à mensagem ${messageId} via canal ${channelId}`);
+
+        return {
+            success: true,
+            messageId: result.key.id,
+            to: target.jid,
+            reactedTo: messageId,
+            emoji: emoji || null
+        };
+    }
+
+    /**
+     * Mensagem enviada pelo canal que ainda pode ser editada/apagada; valida o prazo a partir do envio
+     */
+    getOwnMessage(channelId, messageId, windowMs) {
+        const record = messageStore.getMessage(channelId, messageId);
+        if (!record) {
+            throw new Error('MESSAGE_NOT_FOUND');
+        }
+        if (record.direction !== 'outbound') {
+            throw new Error('MESSAGE_NOT_OWN');
+        }
+        if (record.revokedAt) {
+            throw new Error('MESSAGE_REVOKED');
+        }
+        if (Date.now() - new Date(record.timestamp).getTime() > windowMs) {
+            throw new Error('MESSAGE_WINDOW_EXPIRED');
+        }
+        return record;
+    }
+
+    /**
+     * Edita o texto (mensagens de texto) ou a legenda (imagem, vídeo, documento) de uma mensagem enviada
+     */
+    async editMessage(channelId, messageId, text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('INVALID_TEXT');
+        }
+
+        const record = this.getOwnMessage(channelId, messageId, this.EDIT_WINDOW_MS);
+        const field = record.type === 'text' ? 'text' : ['image', 'video', 'document'].includes(record.type) ? 'caption' : null;
+        if (!field) {
+            throw new Error('MESSAGE_NOT_EDITABLE');
+        }
+
+        const socket = this.getConnectedSocket(channelId);
+        await socket.sendMessage(record.jid, { text, edit: this.getMessageKey(record) });
+
+        const editedAt = new Date().toISOString();
+        messageStore.upsert(channelId, {
+            id: messageId,
+            [field]: text,
+            editedAt,
+            editHistory: [...(record.editHistory || []), { [field]: record[field] ?? null, editedAt }]
+        });
+        eventBus.publish(channelId, 'message.edited', { id: messageId, chatId: record.jid, [field]: text });
+        logger.info(`[${channelId}] Mensagem ${messageId} editada`);
+
+        return {
+            messageId,
+            to: record.jid,
+            [field]: text,
+            editedAt
+        };
+    }
+
+    /**
+     * Apaga para todos uma mensagem enviada pelo canal
+     */
+    async revokeMessage(channelId, messageId) {
+        const record = this.getOwnMessage(channelId, messageId, this.REVOKE_WINDOW_MS);
+        const socket = this.getConnectedSocket(channelId);
+
+        await socket.sendMessage(record.jid, { delete: this.getMessageKey(record) });
+
+        const revokedAt = new Date().toISOString();
+        messageStore.upsert(channelId, { id: messageId, revokedAt });
+        eventBus.publish(channelId, 'message.revoked', { id: messageId, chatId: record.jid });
+        logger.info(`[${channelId}] Mensagem ${messageId} apagada para todos`);
+
+        return {
+            messageId,
+            to: record.jid,
+            revokedAt
+        };
+    }
+
+    getConnectedSocket(channelId) {
+        const socket = sessionManager.getSocket(channelId);
+        if (!sessionManager.isChannelConnected(channelId) || !socket) {
+            throw new Error('CHANNEL_NOT_CONNECTED');
+        }
+        return socket;
+    }
+
+    /**
+     * Envio genérico dos tipos ricos: record é o que vai para o histórico (type e dados do conteúdo)
+     */
+    async sendContent(channelId, to, content, { quoted, typing, ...record }) {
+        try {
+            const socket = this.getConnectedSocket(channelId);
+
+            const jid = await this.resolveRecipient(channelId, socket, to);
+            const result = await this.deliver(channelId, socket, jid, () => content, {
+                typing: { typing },
+                sendOptions: this.getSendOptions(channelId, jid, quoted)
+            });
+
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                ...record,
+                quotedMessageId: quoted || null
+            });
+            logger.info(`Mensagem (${record.type}) enviada para ${to} via canal ${channelId}`);
 
             return {
                 success: true,
                 messageId: result.key.id,
                 to: jid,
-                fileName,
+                type: record.type
+            };
+        } catch (error) {
+            logger.error(`Erro ao enviar ${record.type} (${channelId}):`, error.message);
+
+            if (error.message.includes('not-authorized')) {
+                throw new Error('CHANNEL_NOT_CONNECTED');
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Opções do sendMessage para responder (citar) uma mensagem do histórico da mesma conversa.
+     * O Baileys precisa da mensagem original, remontada a partir do registro salvo.
+     */
+    getSendOptions(channelId, jid, quotedMessageId) {
+        if (!quotedMessageId) {
+            return undefined;
+        }
+
+        const target = messageStore.getMessage(channelId, quotedMessageId);
+        if (!target || target.jid !== jid) {
+            throw new Error('QUOTED_MESSAGE_NOT_FOUND');
+        }
+
+        return {
+            quoted: {
+                key: this.getMessageKey(target),
+                message: { conversation: target.text || target.caption || '' }
+            }
+        };
+    }
+
+    getMessageKey(record) {
+        if (record.key) {
+            return record.key;
+        }
+
+        const key = {
+            remoteJid: record.jid,
+            id: record.id,
+            fromMe: record.direction === 'outbound'
+        };
+        if (this.isGroupJid(record.jid) && record.direction === 'inbound' && record.from) {
+            key.participant = record.from;
+        }
+        return key;
+    }
+
+    /**
+     * Menções (@) em mensagens de grupo: números em qualquer formato aceito ou JIDs
+     */
+    toMentionJids(channelId, mentions) {
+        if (!Array.isArray(mentions)) {
+            throw new Error('INVALID_MENTIONS');
+        }
+
+        const country = this.getDefaultCountry(channelId);
+        return mentions.map(mention => {
+            if (typeof mention === 'string' && /^\d+@s\.whatsapp\.net$/.test(mention)) {
+                return mention;
+            }
+            const phone = parsePhoneNumber(mention, country);
+            if (!phone.valid) {
+                throw new Error('INVALID_MENTIONS');
+            }
+            return `${phone.digits}@s.whatsapp.net`;
+        });
+    }
+
+    normalizeLocation({ latitude, longitude, name, address } = {}) {
+        const lat = Number(latitude);
+        const lng = Number(longitude);
+
+        if (latitude === undefined || longitude === undefined || latitude === null || longitude === null ||
+            !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            throw new Error('INVALID_LOCATION');
+        }
+
+        return {
+            latitude: lat,
+            longitude: lng,
+            name: typeof name === 'string' && name.trim() ? name.trim() : null,
+            address: typeof address === 'string' && address.trim() ? address.trim() : null
+        };
+    }
+
+    /**
+     * contacts: [{ name, phone, organization?, email? }] (1 a 10 contatos)
+     */
+    normalizeContacts(contacts, defaultCountry = resolveCountry()) {
+        if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > 10) {
+            throw new Error('INVALID_CONTACTS');
+        }
+
+        return contacts.map(contact => {
+            const name = typeof contact?.name === 'string' ? contact.name.trim() : '';
+            const phone = parsePhoneNumber(contact?.phone, defaultCountry);
+            if (!name || !phone.valid) {
+                throw new Error('INVALID_CONTACTS');
+            }
+
+            return {
+                name,
+                phone: phone.number,
+                organization: typeof contact.organization === 'string' ? contact.organization.trim() || null : null,
+                email: typeof contact.email === 'string' ? contact.email.trim() || null : null
+            };
+        });
+    }
+
+    buildVCard({ name, phone, organization, email }) {
+        const escape = value => value.replace(/\\/g, '\\\\').replace(/[,;]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+        const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escape(name)}`];
+
+        if (organization) {
+            lines.push(`ORG:${escape(organization)}`);
+        }
+        // waid faz o WhatsApp exibir os botões de conversar/adicionar
+        lines.push(`TEL;type=CELL;type=VOICE;waid=${phone.slice(1)}:${phone}`);
+        if (email) {
+            lines.push(`EMAIL:${escape(email)}`);
+        }
+        lines.push('END:VCARD');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * poll: { name, options: [2 a 12 opções distintas], selectableCount: 1 (padrão) até options.length }
+     */
+    normalizePoll({ name, options, selectableCount = 1 } = {}) {
+        if (typeof name !== 'string' || !name.trim() || !Array.isArray(options)) {
+            throw new Error('INVALID_POLL');
+        }
+
+        const values = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+        if (values.length < 2 || values.length > 12 || values.some(value => !value) || new Set(values).size !== values.length) {
+            throw new Error('INVALID_POLL');
+        }
+
+        const count = Number(selectableCount);
+        if (!Number.isInteger(count) || count < 1 || count > values.length) {
+            throw new Error('INVALID_POLL');
+        }
+
+        return { name: name.trim(), options: values, selectableCount: count };
+    }
+
+    /**
+     * Envia um arquivo recebido por multipart/form-data (ver upload.middleware), lido do disco
+     * em stream. upload: { path, fileName, mimetype, size }
+     */
+    async sendUpload(channelId, to, upload, caption = '', options = {}) {
+        try {
+            const socket = this.getConnectedSocket(channelId);
+
+            const jid = await this.resolveRecipient(channelId, socket, to);
+
+            const result = await this.deliver(channelId, socket, jid, () => this.buildMediaContent(
+                upload.mediaType,
+                { url: upload.path },
+                { fileName: upload.fileName, mimetype: upload.mimetype, caption },
+                options
+            ), { typing: { text: caption, recording: options.ptt, typing: options.typing } });
+
+            this.recordOutgoingMessage(channelId, {
+                id: result.key.id,
+                jid,
+                type: options.sticker ? 'sticker' : upload.mediaType,
+                caption,
+                media: { fileName: upload.fileName, mimetype: upload.mimetype, size: upload.size }
+            });
+            logger.info(`Arquivo ${upload.fileName} (upload) enviado para ${to} via canal ${channelId}`);
+
+            return {
+                success: true,
+                messageId: result.key.id,
+                to: jid,
+                fileName: upload.fileName,
                 caption
             };
         } catch (error) {
-            logger.error(`Erro ao enviar documento base64 (${channelId}):`, error.message);
+            logger.error(`Erro ao enviar upload (${channelId}):`, error.message);
+
+            if (error.message.includes('not-authorized')) {
+                throw new Error('CHANNEL_NOT_CONNECTED');
+            }
+
             throw error;
         }
     }
 
+    /**
+     * Opções de envio de mídia, validadas para o tipo do arquivo (getMediaType):
+     * ptt (nota de voz, áudio), gifPlayback (vídeo em loop), viewOnce (visualização única, imagem
+     * ou vídeo), sticker (figurinha, imagem ou vídeo), thumbnail (miniatura em base64) e typing
+     * (simulateTyping). Retorna apenas as opções informadas, para gravar no job.
+     */
+    normalizeMediaOptions({ ptt, viewOnce, gifPlayback, sticker, thumbnail, typing } = {}, mediaType) {
+        const flags = { ptt, viewOnce, gifPlayback, sticker };
+        if ([...Object.values(flags), typing].some(value => value !== undefined && typeof value !== 'boolean')) {
+            throw new Error('INVALID_MEDIA_OPTIONS');
+        }
+
+        if ((ptt && mediaType !== 'audio') ||
+            (gifPlayback && mediaType !== 'video') ||
+            (viewOnce && !['image', 'video'].includes(mediaType)) ||
+            (sticker && (!['image', 'video'].includes(mediaType) || viewOnce || gifPlayback))) {
+            throw new Error('INVALID_MEDIA_OPTIONS');
+        }
+
+        if (thumbnail !== undefined && thumbnail !== null &&
+            (typeof thumbnail !== 'string' || !thumbnail || mediaType === 'audio' || sticker)) {
+            throw new Error('INVALID_THUMBNAIL');
+        }
+
+        const options = {};
+        for (const [key, value] of Object.entries(flags)) {
+            if (value) {
+                options[key] = true;
+            }
+        }
+        if (thumbnail) {
+            options.thumbnail = thumbnail;
+        }
+        // false também é guardado: desliga o settings.typing do canal neste envio
+        if (typing !== undefined) {
+            options.typing = typing;
+        }
+        return options;
+    }
+
+    /**
+     * Conteúdo do sendMessage conforme o tipo da mídia e as opções (normalizeMediaOptions).
+     * source: Buffer ou { url } com o caminho local, lido em stream pelo Baileys
+     */
+    async buildMediaContent(mediaType, source, { fileName, mimetype, caption = '' }, options = {}) {
+        if (options.sticker) {
+            // Imagens por URL ou base64 chegam sem mimetype: o WebP é reconhecido pelo conteúdo
+            const webp = mimetype === 'image/webp' || (Buffer.isBuffer(source) && detectFileType(source) === 'webp');
+            return { sticker: await this.convertMedia('sticker', source, webp) };
+        }
+
+        const extras = {};
+        if (options.viewOnce) {
+            extras.viewOnce = true;
+        }
+        if (options.thumbnail) {
+            extras.jpegThumbnail = await this.prepareThumbnail(options.thumbnail);
+        }
+
+        if (mediaType === 'image') {
+            return { image: source, caption, ...extras };
+        }
+        if (mediaType === 'video') {
+            return { video: source, caption, ...(options.gifPlayback && { gifPlayback: true }), ...extras };
+        }
+        if (mediaType === 'audio') {
+            return options.ptt
+                ? { audio: await this.convertMedia('voiceNote', source, mimetype?.startsWith('audio/ogg')), mimetype: 'audio/ogg; codecs=opus', ptt: true }
+                : { audio: source, mimetype };
+        }
+        return { document: source, mimetype, fileName, caption, ...extras };
+    }
+
+    /**
+     * Converte com o ffmpeg para o formato exigido pelo WhatsApp (voiceNote: Opus/OGG, sticker: WebP).
+     * Sem o ffmpeg, arquivos que já estão no formato (readyFormat) são enviados como estão.
+     */
+    async convertMedia(conversion, source, readyFormat) {
+        const capabilities = await getCapabilities();
+        if (!capabilities[conversion]) {
+            if (readyFormat) {
+                return source;
+            }
+            throw new Error('CONVERSION_UNAVAILABLE');
+        }
+
+        const converters = { voiceNote: toVoiceNote, sticker: toSticker };
+        try {
+            return await converters[conversion](Buffer.isBuffer(source) ? source : source.url);
+        } catch (error) {
+            logger.error(`Erro na conversão (${conversion}):`, error.message);
+            throw new Error('CONVERSION_FAILED');
+        }
+    }
+
+    /**
+     * Miniatura em base64 -> JPEG reduzido. Sem o ffmpeg, apenas JPEG é aceito.
+     */
+    async prepareThumbnail(thumbnail) {
+        const buffer = this.base64ToBuffer(thumbnail);
+        const capabilities = await getCapabilities();
+
+        if (!capabilities.thumbnail) {
+            if (detectFileType(buffer) !== 'jpeg') {
+                throw new Error('INVALID_THUMBNAIL');
+            }
+            return buffer;
+        }
+
+        try {
+            return await toThumbnail(buffer);
+        } catch (error) {
+            logger.warn('Miniatura inválida:', error.message);
+            throw new Error('INVALID_THUMBNAIL');
+        }
+    }
+
+    recordOutgoingMessage(channelId, data) {
+        try {
+            // A chave (conversa + fromMe + id) é o que o WhatsApp exige para editar, apagar ou reagir
+            messageStore.saveOutgoingMessage(channelId, {
+                ...data,
+                key: { remoteJid: data.jid, fromMe: true, id: data.id }
+            });
+        } catch (error) {
+            // O envio já aconteceu; falha no histórico não deve virar erro para o cliente
+            logger.error(`Erro ao registrar mensagem enviada ${data.id} (${channelId}):`, error.message);
+        }
+
+        eventBus.publish(channelId, 'message.sent', {
+            id: data.id,
+            chatId: data.jid,
+            type: data.type
+        });
+    }
+
+    /**
+     * Converte o destino informado no JID de envio. Grupos (@g.us) são validados pelos metadados,
+     * números pela verificação onWhatsApp.
+     */
+    async resolveRecipient(channelId, socket, to) {
+        if (this.isGroupJid(to)) {
+            try {
+                await socket.groupMetadata(to);
+            } catch (error) {
+                // 404 (grupo inexistente) / 403 (canal não participa); demais erros seguem como falha de conexão
+                if ([403, 404].includes(error.output?.statusCode) || /item-not-found|forbidden/.test(error.message)) {
+                    logger.warn(`[${channelId}] Grupo ${to} indisponível: ${error.message}`);
+                    throw new Error('GROUP_NOT_FOUND');
+                }
+                throw error;
+            }
+            return to;
+        }
+
+        const phone = parsePhoneNumber(to, this.getDefaultCountry(channelId));
+        if (!phone.valid) {
+            throw new Error('INVALID_WHATSAPP_NUMBER');
+        }
+
+        const exists = await this.lookupPhone(socket, phone);
+        logger.debug(`[${channelId}] Verificação onWhatsApp ${phone.number}:`, exists);
+
+        if (!exists) {
+            throw new Error('INVALID_WHATSAPP_NUMBER');
+        }
+        return exists.jid;
+    }
+
+    /**
+     * Consulta o número no WhatsApp, incluindo a variante sem o nono dígito para celulares BR.
+     * Retorna o primeiro resultado existente ({ exists, jid }) ou null.
+     */
+    async lookupPhone(socket, phone) {
+        const [result] = await this.lookupPhones(socket, [phone]);
+        return result.exists ? result : null;
+    }
+
+    /**
+     * Consulta vários números (já normalizados por parsePhoneNumber), usando o cache e agrupando
+     * os demais em lotes de CHECK_BATCH_SIZE por chamada onWhatsApp, com pausa entre os lotes.
+     * Retorna { exists, jid, cached } na mesma ordem de phones.
+     */
+    async lookupPhones(socket, phones) {
+        const results = new Map();
+        const pendingByDigits = new Map();
+
+        for (const phone of phones) {
+            if (results.has(phone.digits) || pendingByDigits.has(phone.digits)) {
+                continue;
+            }
+
+            const cached = numberCache.get(phone.digits);
+            if (cached) {
+                results.set(phone.digits, { exists: cached.exists, jid: cached.jid, cached: true });
+            } else {
+                pendingByDigits.set(phone.digits, phone);
+            }
+        }
+
+        const pending = [...pendingByDigits.values()];
+
+        for (let i = 0; i < pending.length; i += this.CHECK_BATCH_SIZE) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.CHECK_BATCH_DELAY_MS));
+            }
+
+            const batch = pending.slice(i, i + this.CHECK_BATCH_SIZE);
+            const batchVariants = batch.map(phone => getPhoneVariants(phone));
+            const found = await socket.onWhatsApp(...batchVariants.flat().map(digits => `${digits}@s.whatsapp.net`)) || [];
+
+            batch.forEach((phone, index) => {
+                const variants = batchVariants[index];
+                const match = found.find(result => result.exists && variants.includes(result.jid.split('@')[0]));
+                const result = { exists: Boolean(match), jid: match?.jid || null };
+
+                numberCache.set(phone.digits, result);
+                results.set(phone.digits, { ...result, cached: false });
+            });
+        }
+
+        return phones.map(phone => results.get(phone.digits));
+    }
+
+    /**
+     * País usado para números sem DDI: configuração defaultCountry do canal ou DEFAULT_COUNTRY
+     */
+    getDefaultCountry(channelId) {
+        return resolveCountry(sessionManager.getChannelSettings(channelId).defaultCountry);
+    }
+
+    /**
+     * Conteúdo em base64 (com ou sem prefixo data:) -> Buffer. Jobs da fila já trazem o Buffer lido do disco.
+     */
     base64ToBuffer(base64String) {
+        if (Buffer.isBuffer(base64String)) {
+            return base64String;
+        }
         const base64Data = base64String.replace(/^data:[^;]+;base64,/, '');
         return Buffer.from(base64Data, 'base64');
     }
 
-    async checkNumber(channelId, number) {
+    async checkNumber(channelId, number, defaultCountry = null) {
         try {
             if (!sessionManager.isChannelConnected(channelId)) {
                 throw new Error('CHANNEL_NOT_CONNECTED');
@@ -313,12 +920,19 @@ class WhatsAppService {
                 throw new Error('CHANNEL_NOT_CONNECTED');
             }
 
-            const formattedNumber = this.formatWhatsAppNumber(number);
-            const [result] = await socket.onWhatsApp(formattedNumber);
+            const phone = parsePhoneNumber(number, defaultCountry || this.getDefaultCountry(channelId));
+            if (!phone.valid) {
+                return { exists: false, jid: null, reason: phone.reason, message: phone.message };
+            }
+
+            const [result] = await this.lookupPhones(socket, [phone]);
 
             return {
-                exists: result?.exists || false,
-                jid: result?.jid || formattedNumber
+                exists: result.exists,
+                jid: result.jid || `${phone.digits}@s.whatsapp.net`,
+                number: phone.number,
+                country: phone.country,
+                cached: result.cached
             };
         } catch (error) {
             logger.error(`Erro ao verificar número (${channelId}):`, error.message);
@@ -326,31 +940,88 @@ class WhatsAppService {
         }
     }
 
-    async downloadFile(url) {
+    /**
+     * Verificação em massa. Números inválidos não são consultados e voltam com reason/message;
+     * os válidos são resolvidos em lotes (veja lookupPhones). Resultados na ordem de entrada.
+     */
+    async checkNumbers(channelId, numbers, defaultCountry = null) {
+        const socket = sessionManager.getSocket(channelId);
+        if (!sessionManager.isChannelConnected(channelId) || !socket) {
+            throw new Error('CHANNEL_NOT_CONNECTED');
+        }
+
+        const country = defaultCountry || this.getDefaultCountry(channelId);
+        const parsed = numbers.map(input => ({ input, phone: parsePhoneNumber(input, country) }));
+        const validPhones = parsed.filter(({ phone }) => phone.valid).map(({ phone }) => phone);
+
+        const lookups = await this.lookupPhones(socket, validPhones);
+        const lookupByDigits = new Map(validPhones.map((phone, index) => [phone.digits, lookups[index]]));
+
+        const results = parsed.map(({ input, phone }) => {
+            if (!phone.valid) {
+                return { input, valid: false, exists: false, jid: null, reason: phone.reason, message: phone.message };
+            }
+
+            const lookup = lookupByDigits.get(phone.digits);
+            return {
+                input,
+                valid: true,
+                exists: lookup.exists,
+                jid: lookup.jid,
+                number: phone.number,
+                country: phone.country,
+                cached: lookup.cached
+            };
+        });
+
+        logger.info(`[${channelId}] Verificação em massa: ${numbers.length} números (${lookups.filter(lookup => !lookup.cached).length} consultados no WhatsApp)`);
+
+        return {
+            results,
+            summary: {
+                total: results.length,
+                valid: validPhones.length,
+                invalid: results.length - validPhones.length,
+                exists: results.filter(result => result.exists).length,
+                notOnWhatsApp: results.filter(result => result.valid && !result.exists).length,
+                cached: results.filter(result => result.cached).length
+            }
+        };
+    }
+
+    /**
+     * Baixa a URL informada pelo cliente (safeFetch, com os domínios permitidos do canal) e confere
+     * pelos primeiros bytes se o conteúdo corresponde à extensão esperada
+     */
+    async downloadFile(channelId, url, extension) {
+        const { allowedDomains } = sessionManager.getChannelSettings(channelId);
+
+        let file;
         try {
-            const response = await axios({
-                method: 'GET',
-                url: url,
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
-            return Buffer.from(response.data);
+            file = await safeFetch(url, { allowedDomains });
         } catch (error) {
-            logger.error(`Erro ao baixar arquivo ${url}:`, error.message);
-            throw new Error('DOWNLOAD_FAILED');
+            logger.error(`Erro ao baixar arquivo ${url}:`, error.reason || error.message);
+            throw error;
         }
-    }
 
-    formatWhatsAppNumber(number) {
-        let cleanNumber = number.replace(/\D/g, '');
+        const { valid, detected } = checkFileType(file.buffer, extension);
+        if (!valid) {
+            logger.warn(`Arquivo ${url} recusado: esperado ${extension}, conteúdo ${detected || 'desconhecido'} (${file.contentType})`);
+            throw new Error('CONTENT_TYPE_MISMATCH');
+        }
 
-        if (!cleanNumber.startsWith('55')) {
-            cleanNumber = '55' + cleanNumber;
+        return file.buffer;
+    }
+
+    formatWhatsAppNumber(number, defaultCountry = resolveCountry()) {
+        const phone = parsePhoneNumber(number, defaultCountry);
+        if (!phone.valid) {
+            throw new Error('INVALID_WHATSAPP_NUMBER');
         }
 
-        logger.debug(`Formatando número: ${number} -> ${cleanNumber}@s.whatsapp.net`);
+        logger.debug(`Formatando número: ${number} -> ${phone.digits}@s.whatsapp.net`);
 
-        return cleanNumber + '@s.whatsapp.net';
+        return `${phone.digits}@s.whatsapp.net`;
     }
 
     getMimeType(extension) {
@@ -375,6 +1046,13 @@ class WhatsAppService {
         return mimeTypes[extension] || 'application/octet-stream';
     }
 
+    getMediaType(extension) {
+        if (this.isImageType(extension)) return 'image';
+        if (this.isVideoType(extension)) return 'video';
+        if (this.isAudioType(extension)) return 'audio';
+        return 'document';
+    }
+
     isImageType(extension) {
         return ['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(extension);
     }
@@ -387,20 +1065,91 @@ class WhatsAppService {
         return ['.mp3', '.ogg', '.wav', '.m4a'].includes(extension);
     }
 
-    async applyMessageDelay(channelId) {
+    /**
+     * Envia a mensagem para jid respeitando a política anti-ban do canal: reserva o envio
+     * (applyMessageDelay), monta o conteúdo com buildContent (downloads e conversões), simula
+     * "digitando..." (typing: opções de simulateTyping) e envia. Se algo falhar antes de o WhatsApp
+     * aceitar a mensagem, a reserva é devolvida e o envio não conta nas cotas.
+     */
+    async deliver(channelId, socket, jid, buildContent, { typing, sendOptions } = {}) {
+        const reservation = await this.applyMessageDelay(channelId, jid);
+
+        try {
+            const content = await buildContent();
+            await this.simulateTyping(channelId, socket, jid, typing);
+            const result = await socket.sendMessage(jid, content, sendOptions);
+
+            this.lastMessageTime.set(channelId, Date.now());
+            return result;
+        } catch (error) {
+            throttleService.release(reservation);
+            throw error;
+        }
+    }
+
+    /**
+     * Aplica a política anti-ban do canal (throttle.service) ao envio para jid: lança RATE_LIMITED
+     * se exceder taxa ou cotas e, senão, reserva o envio e espera o intervalo mínimo desde o último
+     * envio mais uma variação aleatória. Retorna a reserva, para throttleService.release()
+     */
+    async applyMessageDelay(channelId, jid) {
+        const reservation = throttleService.acquire(channelId, jid);
+        const { minDelayMs, jitterMs } = reservation;
+
         const lastTime = this.lastMessageTime.get(channelId);
-        if (lastTime) {
-            const elapsed = Date.now() - lastTime;
-            if (elapsed < this.MIN_DELAY_MS) {
-                const delay = this.MIN_DELAY_MS - elapsed;
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
+        const gap = minDelayMs + Math.floor(Math.random() * (jitterMs + 1));
+        const delay = lastTime ? gap - (Date.now() - lastTime) : 0;
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        return reservation;
+    }
+
+    /**
+     * Mostra "digitando..." (ou "gravando áudio..." para notas de voz) ao destinatário antes do
+     * envio, por um tempo proporcional ao texto (msPerChar), entre minMs e maxMs. Ativado por
+     * settings.typing.enabled do canal ou pelo typing da requisição, que tem precedência.
+     * Falhas na presença não impedem o envio.
+     */
+    async simulateTyping(channelId, socket, jid, { text = '', recording = false, typing } = {}) {
+        const settings = { ...this.TYPING_DEFAULTS, ...sessionManager.getChannelSettings(channelId).typing };
+        if (!(typing ?? settings.enabled)) {
+            return;
+        }
+
+        const duration = Math.min(Math.max((text || '').length * settings.msPerChar, settings.minMs), settings.maxMs);
+
+        try {
+            await socket.presenceSubscribe(jid);
+            await socket.sendPresenceUpdate(recording ? 'recording' : 'composing', jid);
+            await new Promise(resolve => setTimeout(resolve, duration));
+            await socket.sendPresenceUpdate('paused', jid);
+        } catch (error) {
+            logger.warn(`[${channelId}] Não foi possível enviar presença para ${jid}:`, error.message);
         }
     }
 
-    isValidWhatsAppNumber(number) {
-        const cleanNumber = number.replace(/\D/g, '');
-        return cleanNumber.length >= 10 && cleanNumber.length <= 15;
+    isValidWhatsAppNumber(number, defaultCountry = resolveCountry()) {
+        return parsePhoneNumber(number, defaultCountry).valid;
+    }
+
+    isGroupJid(value) {
+        return typeof value === 'string' && /^\d+(-\d+)?@g\.us$/.test(value);
+    }
+
+    /**
+     * Valida o destino de um envio. Números são normalizados para E.164 (+5511999999999), para que
+     * envios enfileirados/agendados não dependam do país padrão vigente na hora do envio.
+     * Retorna { valid: true, to } ou { valid: false, reason, message }.
+     */
+    validateRecipient(to, defaultCountry = resolveCountry()) {
+        if (this.isGroupJid(to)) {
+            return { valid: true, to };
+        }
+
+        const phone = parsePhoneNumber(to, defaultCountry);
+        return phone.valid ? { valid: true, to: phone.number } : phone;
     }
 }
 
@@ -0,0 +1,44 @@
+import path from 'path';
+import { createMultiFileAuthStore } from './multi-file.js';
+import { createSqliteAuthStore } from './sqlite.js';
+import { createRedisAuthStore } from './redis.js';
+import { DATA_DIR } from '../../utils/store.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Backends de armazenamento das credenciais do Baileys, selecionados por AUTH_STORE.
+ * Todos expõem a mesma interface:
+ *   useAuthState(channelId) -> { state, saveCreds }
+ *   hasAuth(channelId), removeAuth(channelId), listChannels(), close()
+ */
+const AUTH_STORES = {
+    file: () => createMultiFileAuthStore(),
+    sqlite: () => createSqliteAuthStore({
+        filePath: process.env.AUTH_SQLITE_PATH || path.join(DATA_DIR, 'auth.db')
+    }),
+    redis: () => createRedisAuthStore({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.AUTH_REDIS_PREFIX || 'mga:auth'
+    })
+};
+
+let authStorePromise = null;
+
+export function getAuthStore() {
+    if (!authStorePromise) {
+        const type = process.env.AUTH_STORE || 'file';
+        if (!AUTH_STORES[type]) {
+            throw new Error(`AUTH_STORE inválido: ${type}. Use ${Object.keys(AUTH_STORES).join(', ')}`);
+        }
+
+        authStorePromise = Promise.resolve(AUTH_STORES[type]()).then(store => {
+            logger.info(`Armazenamento de autenticação: ${store.name}`);
+            return store;
+        });
+        authStorePromise.catch(() => {
+            authStorePromise = null;
+        });
+    }
+
+    return authStorePromise;
+}
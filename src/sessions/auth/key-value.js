@@ -0,0 +1,47 @@
+import { BufferJSON, initAuthCreds, proto } from '@whiskeysockets/baileys';
+
+/**
+ * Monta o auth state do Baileys sobre um armazenamento chave/valor qualquer,
+ * com a mesma serialização usada pelo useMultiFileAuthState (BufferJSON).
+ *
+ * kv.get(key) -> string | null
+ * kv.write(entries) -> grava { key: string | null } em lote (null remove a chave)
+ */
+export async function useKeyValueAuthState(kv) {
+    const readData = async (key) => {
+        const value = await kv.get(key);
+        return value ? JSON.parse(value, BufferJSON.reviver) : null;
+    };
+
+    const creds = (await readData('creds')) || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                get: async (type, ids) => {
+                    const data = {};
+                    await Promise.all(ids.map(async (id) => {
+                        let value = await readData(`${type}-${id}`);
+                        if (type === 'app-state-sync-key' && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }));
+                    return data;
+                },
+                set: async (data) => {
+                    const entries = {};
+                    for (const category in data) {
+                        for (const id in data[category]) {
+                            const value = data[category][id];
+                            entries[`${category}-${id}`] = value ? JSON.stringify(value, BufferJSON.replacer) : null;
+                        }
+                    }
+                    await kv.write(entries);
+                }
+            }
+        },
+        saveCreds: () => kv.write({ creds: JSON.stringify(creds, BufferJSON.replacer) })
+    };
+}
@@ -0,0 +1,47 @@
+import { useMultiFileAuthState } from '@whiskeysockets/baileys';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Layout original: um arquivo por chave em src/channels/<channelId>/auth_info
+ */
+export function createMultiFileAuthStore({ baseDir = path.join('src', 'channels') } = {}) {
+    const getAuthPath = (channelId) => path.join(baseDir, channelId, 'auth_info');
+
+    return {
+        name: 'file',
+
+        useAuthState(channelId) {
+            return useMultiFileAuthState(getAuthPath(channelId));
+        },
+
+        async hasAuth(channelId) {
+            const authPath = getAuthPath(channelId);
+            return fs.existsSync(authPath) && fs.readdirSync(authPath).length > 0;
+        },
+
+        async removeAuth(channelId) {
+            fs.rmSync(getAuthPath(channelId), { recursive: true, force: true });
+        },
+
+        async listChannels() {
+            if (!fs.existsSync(baseDir)) {
+                return [];
+            }
+
+            const channels = fs.readdirSync(baseDir, { withFileTypes: true })
+                .filter(dirent => dirent.isDirectory())
+                .map(dirent => dirent.name);
+
+            const withAuth = [];
+            for (const channelId of channels) {
+                if (await this.hasAuth(channelId)) {
+                    withAuth.push(channelId);
+                }
+            }
+            return withAuth;
+        },
+
+        async close() {}
+    };
+}
@@ -0,0 +1,62 @@
+import { useKeyValueAuthState } from './key-value.js';
+
+/**
+ * Credenciais no Redis: um hash por canal (<prefix>:<channelId>) e um set com os canais (<prefix>:channels)
+ */
+export async function createRedisAuthStore({ url, prefix }) {
+    let Redis;
+    try {
+        ({ default: Redis } = await import('ioredis'));
+    } catch (error) {
+        throw new Error('AUTH_STORE=redis requer o pacote ioredis (npm install ioredis)');
+    }
+
+    const client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 3 });
+    await client.connect();
+
+    const channelKey = (channelId) => `${prefix}:${channelId}`;
+    const channelsKey = `${prefix}:channels`;
+
+    return {
+        name: 'redis',
+
+        useAuthState(channelId) {
+            return useKeyValueAuthState({
+                get: (key) => client.hget(channelKey(channelId), key),
+                write: async (entries) => {
+                    const pipeline = client.multi();
+                    for (const [key, value] of Object.entries(entries)) {
+                        if (value === null) {
+                            pipeline.hdel(channelKey(channelId), key);
+                        } else {
+                            pipeline.hset(channelKey(channelId), key, value);
+                        }
+                    }
+                    if ('creds' in entries) {
+                        pipeline.sadd(channelsKey, channelId);
+                    }
+                    await pipeline.exec();
+                }
+            });
+        },
+
+        async hasAuth(channelId) {
+            return (await client.hexists(channelKey(channelId), 'creds')) === 1;
+        },
+
+        async removeAuth(channelId) {
+            await client.multi()
+                .del(channelKey(channelId))
+                .srem(channelsKey, channelId)
+                .exec();
+        },
+
+        async listChannels() {
+            return client.smembers(channelsKey);
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
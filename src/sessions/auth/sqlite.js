@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import { useKeyValueAuthState } from './key-value.js';
+
+/**
+ * Todas as credenciais em um único banco SQLite (tabela auth_state)
+ */
+export async function createSqliteAuthStore({ filePath }) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error('AUTH_STORE=sqlite requer o pacote better-sqlite3 (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS auth_state (
+            channel_id TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (channel_id, key)
+        )
+    `);
+
+    const selectValue = db.prepare('SELECT value FROM auth_state WHERE channel_id = ? AND key = ?');
+    const upsertValue = db.prepare(`
+        INSERT INTO auth_state (channel_id, key, value) VALUES (?, ?, ?)
+        ON CONFLICT (channel_id, key) DO UPDATE SET value = excluded.value
+    `);
+    const deleteValue = db.prepare('DELETE FROM auth_state WHERE channel_id = ? AND key = ?');
+    const deleteChannel = db.prepare('DELETE FROM auth_state WHERE channel_id = ?');
+    const selectChannels = db.prepare("SELECT DISTINCT channel_id FROM auth_state WHERE key = 'creds'");
+
+    const writeEntries = db.transaction((channelId, entries) => {
+        for (const [key, value] of Object.entries(entries)) {
+            if (value === null) {
+                deleteValue.run(channelId, key);
+            } else {
+                upsertValue.run(channelId, key, value);
+            }
+        }
+    });
+
+    return {
+        name: 'sqlite',
+
+        useAuthState(channelId) {
+            return useKeyValueAuthState({
+                get: async (key) => selectValue.get(channelId, key)?.value ?? null,
+                write: async (entries) => writeEntries(channelId, entries)
+            });
+        },
+
+        async hasAuth(channelId) {
+            return !!selectValue.get(channelId, 'creds');
+        },
+
+        async removeAuth(channelId) {
+            deleteChannel.run(channelId);
+        },
+
+        async listChannels() {
+            return selectChannels.all().map(row => row.channel_id);
+        },
+
+        async close() {
+            db.close();
+        }
+    };
+}
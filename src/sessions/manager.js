@@ -1,15 +1,30 @@
 import {
-    useMultiFileAuthState,
     DisconnectReason,
     makeWASocket,
     fetchLatestBaileysVersion,
     makeCacheableSignalKeyStore,
     Browsers
 } from '@whiskeysockets/baileys';
-import fs from 'fs';
-import path from 'path';
 import P from 'pino';
+import { getAuthStore } from './auth/index.js';
+import channelRegistry from './registry.js';
 import { logger } from '../utils/logger.js';
+import { parseMessage } from '../utils/message-parser.js';
+import { renderQRCode } from '../utils/qrcode.js';
+import webhookService from '../services/webhook.service.js';
+import eventBus from '../services/event-bus.service.js';
+import messageStore from '../services/message-store.service.js';
+import mediaService from '../services/media.service.js';
+
+// proto.WebMessageInfo.Status -> status exposto pela API
+const ACK_STATUS = {
+    0: 'failed',
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
 
 const baileysLogger = P({
     level: 'warn',
@@ -26,57 +41,42 @@ const baileysLogger = P({
 class SessionManager {
     constructor() {
         this.sessions = new Map(); // channelId -> { socket, saveCreds }
-        this.channels = new Map(); // channelId -> { status, url_qrcode, lastSeen }
+        this.channels = new Map(); // channelId -> { status, url_qrcode, qrCode, pairingCode, lastSeen }
         this.qrPromises = new Map();
+        this.pairingNumbers = new Map(); // channelId -> número usado no login por código de pareamento
+        this.newLogins = new Set(); // canais que acabaram de ser pareados (QR Code ou código), até conectarem
         this.connectingChannels = new Set();
     }
 
-    async createChannel(channelId) {
+    /**
+     * Cria o canal e aguarda o primeiro QR Code ou, se phoneNumber for informado,
+     * o código de pareamento de 8 caracteres
+     */
+    async createChannel(channelId, { displayName, settings, phoneNumber } = {}) {
         try {
             if (this.channels.has(channelId)) {
                 throw new Error('Canal já existe');
             }
 
-            const channelPath = path.join('src', 'channels', channelId);
-            if (!fs.existsSync(channelPath)) {
-                fs.mkdirSync(channelPath, { recursive: true });
-            }
-
-            this.channels.set(channelId, {
+            channelRegistry.register(channelId, { displayName, settings });
+            this.setChannelState(channelId, {
                 status: 'CREATED',
                 url_qrcode: null,
-                lastSeen: new Date()
+                qrCode: null,
+                pairingCode: null
             });
 
-            logger.info(`Canal ${channelId} criado`);
+            if (phoneNumber) {
+                this.pairingNumbers.set(channelId, phoneNumber);
+            }
 
-            let qrResolve, qrReject;
-            const qrPromise = new Promise((resolve, reject) => {
-                qrResolve = resolve;
-                qrReject = reject;
-            });
-            this.qrPromises.set(channelId, { resolve: qrResolve, reject: qrReject });
+            logger.info(`Canal ${channelId} criado`);
 
+            const loginCode = this.waitForLoginCode(channelId);
             await this.initializeSession(channelId, true);
+            await loginCode;
 
-            try {
-                await Promise.race([
-                    qrPromise,
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('Timeout aguardando QR Code')), 15000)
-                    )
-                ]);
-            } catch (timeoutError) {
-                logger.warn(`Timeout aguardando QR Code para ${channelId}`);
-            } finally {
-                this.qrPromises.delete(channelId);
-            }
-
-            return {
-                channelId,
-                status: this.channels.get(channelId).status,
-                url_qrcode: this.channels.get(channelId).url_qrcode
-            };
+            return this.getLoginData(channelId);
         } catch (error) {
             logger.error(`Erro ao criar canal ${channelId}:`, error.message);
             this.qrPromises.delete(channelId);
@@ -103,16 +103,15 @@ class SessionManager {
             }
             this.sessions.delete(channelId);
 
-            const channelPath = path.join('src', 'channels', channelId);
-            const authPath = path.join(channelPath, 'auth_info');
+            const authStore = await getAuthStore();
 
-            if (forceNew && fs.existsSync(authPath)) {
+            if (forceNew && await authStore.hasAuth(channelId)) {
                 logger.info(`Limpando autenticação do canal ${channelId}`);
-                fs.rmSync(authPath, { recursive: true, force: true });
+                await authStore.removeAuth(channelId);
                 await new Promise(resolve => setTimeout(resolve, 500));
             }
 
-            const { state, saveCreds } = await useMultiFileAuthState(authPath);
+            const { state, saveCreds } = await authStore.useAuthState(channelId);
 
             const hasValidAuth = state.creds?.me?.id;
             logger.info(`Inicializando ${channelId} - Auth existente: ${hasValidAuth ? 'Sim' : 'Não'}`);
@@ -145,12 +144,16 @@ class SessionManager {
 
             socket.ev.on('creds.update', saveCreds);
 
-            socket.ev.on('messages.upsert', ({ messages }) => {
-                for (const msg of messages) {
-                    if (!msg.key.fromMe) {
-                        logger.debug(`[${channelId}] Mensagem recebida de ${msg.key.remoteJid}`);
-                    }
-                }
+            socket.ev.on('messages.upsert', ({ messages, type }) => {
+                this.handleIncomingMessages(channelId, messages, type);
+            });
+
+            socket.ev.on('messages.update', (updates) => {
+                this.handleMessageUpdates(channelId, updates);
+            });
+
+            socket.ev.on('message-receipt.update', (receipts) => {
+                this.handleMessageReceipts(channelId, receipts);
             });
 
             this.sessions.set(channelId, { socket, saveCreds });
@@ -165,11 +168,20 @@ class SessionManager {
     }
 
     async handleConnectionUpdate(channelId, update) {
-        const { connection, lastDisconnect, qr } = update;
+        const { connection, lastDisconnect, qr, isNewLogin } = update;
+
+        // O Baileys sinaliza o pareamento e reinicia a conexão; o aquecimento começa quando ela abrir
+        if (isNewLogin) {
+            this.newLogins.add(channelId);
+        }
 
         if (qr) {
-            logger.info(`QR Code gerado para canal ${channelId}`);
-            await this.handleQRCode(channelId, qr);
+            if (this.pairingNumbers.has(channelId)) {
+                await this.handlePairingCode(channelId);
+            } else {
+                logger.info(`QR Code gerado para canal ${channelId}`);
+                await this.handleQRCode(channelId, qr);
+            }
         }
 
         if (connection === 'close') {
@@ -183,10 +195,8 @@ class SessionManager {
                 const attempts = (channel?.reconnectAttempts || 0) + 1;
 
                 if (attempts <= 5) {
-                    this.channels.set(channelId, {
-                        ...channel,
+                    this.setChannelState(channelId, {
                         status: 'RECONNECTING',
-                        lastSeen: new Date(),
                         reconnectAttempts: attempts
                     });
 
@@ -197,50 +207,175 @@ class SessionManager {
                     }, delay);
                 } else {
                     logger.error(`Canal ${channelId} atingiu limite de reconexões`);
-                    this.channels.set(channelId, {
-                        ...channel,
+                    this.setChannelState(channelId, {
                         status: 'FAILED',
-                        lastSeen: new Date(),
                         reconnectAttempts: 0
                     });
                 }
             } else {
-                this.channels.set(channelId, {
-                    ...this.channels.get(channelId),
+                this.setChannelState(channelId, {
                     status: 'LOGGED_OUT',
-                    lastSeen: new Date()
+                    pairingCode: null
                 });
                 this.sessions.delete(channelId);
+                this.pairingNumbers.delete(channelId);
+                this.newLogins.delete(channelId);
             }
         }
 
         if (connection === 'open') {
             logger.info(`✅ Canal ${channelId} conectado com sucesso!`);
-            this.channels.set(channelId, {
-                ...this.channels.get(channelId),
+            this.setChannelState(channelId, {
                 status: 'CONNECTED',
                 url_qrcode: null,
-                lastSeen: new Date(),
+                qrCode: null,
+                pairingCode: null,
                 reconnectAttempts: 0
             });
+            this.pairingNumbers.delete(channelId);
+
+            const user = this.getSocket(channelId)?.user;
+            const phoneNumber = user?.id ? user.id.split(':')[0].split('@')[0] : null;
+            const record = channelRegistry.get(channelId);
+            const now = new Date().toISOString();
+            channelRegistry.update(channelId, {
+                phoneNumber,
+                pushName: user?.name || null,
+                lastConnectedAt: now,
+                // Início do aquecimento do número (throttle.service), só num pareamento novo. Canais
+                // pareados antes deste campo existir ficam sem ele, ou seja, fora do aquecimento
+                pairedAt: this.newLogins.has(channelId) ? now : record?.pairedAt ?? null
+            });
+            this.newLogins.delete(channelId);
         }
 
         if (connection === 'connecting') {
-            this.channels.set(channelId, {
-                ...this.channels.get(channelId),
-                status: 'CONNECTING',
-                lastSeen: new Date()
+            this.setChannelState(channelId, {
+                status: 'CONNECTING'
             });
         }
     }
 
+    handleIncomingMessages(channelId, messages, type) {
+        // 'append' são mensagens de sincronização de histórico, não novas mensagens
+        if (type !== 'notify') {
+            return;
+        }
+
+        for (const msg of messages) {
+            if (msg.key.remoteJid === 'status@broadcast') {
+                continue;
+            }
+
+            try {
+                const parsed = parseMessage(msg);
+                if (!parsed) {
+                    continue;
+                }
+
+                // Mensagens fromMe aqui foram enviadas pelo próprio aparelho; entram só no histórico
+                messageStore.saveParsedMessage(channelId, parsed);
+
+                if (!msg.key.fromMe) {
+                    logger.debug(`[${channelId}] Mensagem recebida de ${msg.key.remoteJid}`);
+                    eventBus.publish(channelId, 'message.received', parsed);
+
+                    // O download é feito em segundo plano; o resultado sai no evento message.media
+                    if (parsed.media) {
+                        mediaService.handleInboundMedia(channelId, msg, parsed, {
+                            settings: this.getChannelSettings(channelId),
+                            downloadContext: {
+                                logger: baileysLogger,
+                                reuploadRequest: this.getSocket(channelId)?.updateMediaMessage
+                            }
+                        }).catch(error => logger.error(`[${channelId}] Erro ao baixar mídia da mensagem ${parsed.id}:`, error.message));
+                    }
+                }
+            } catch (error) {
+                logger.error(`[${channelId}] Erro ao processar mensagem recebida ${msg.key.id}:`, error.message);
+            }
+        }
+    }
+
+    handleMessageUpdates(channelId, updates) {
+        for (const { key, update } of updates) {
+            if (!key.fromMe || update.status === undefined || update.status === null) {
+                continue;
+            }
+
+            const status = ACK_STATUS[update.status];
+            if (status) {
+                this.updateMessageStatus(channelId, key, status);
+            }
+        }
+    }
+
+    handleMessageReceipts(channelId, receipts) {
+        // Recibos individuais por destinatário (em grupos, um por participante)
+        for (const { key, receipt } of receipts) {
+            if (!key.fromMe) {
+                continue;
+            }
+
+            let status = null;
+            let timestamp = null;
+
+            if (receipt.playedTimestamp) {
+                status = 'played';
+                timestamp = receipt.playedTimestamp;
+            } else if (receipt.readTimestamp) {
+                status = 'read';
+                timestamp = receipt.readTimestamp;
+            } else if (receipt.receiptTimestamp) {
+                status = 'delivered';
+                timestamp = receipt.receiptTimestamp;
+            }
+
+            if (status) {
+                this.updateMessageStatus(channelId, key, status, {
+                    timestamp: new Date(Number(timestamp) * 1000).toISOString(),
+                    participant: receipt.userJid
+                });
+            }
+        }
+    }
+
+    updateMessageStatus(channelId, key, status, options = {}) {
+        try {
+            const transition = messageStore.updateStatus(channelId, key.id, status, options);
+            if (!transition) {
+                return;
+            }
+
+            logger.debug(`[${channelId}] Mensagem ${key.id}: ${transition.previousStatus} -> ${status}`);
+
+            eventBus.publish(channelId, 'message.status', {
+                id: key.id,
+                chatId: key.remoteJid,
+                status,
+                previousStatus: transition.previousStatus,
+                participant: options.participant || null,
+                timestamp: transition.record.statusHistory.at(-1).timestamp
+            });
+        } catch (error) {
+            logger.error(`[${channelId}] Erro ao atualizar status da mensagem ${key.id}:`, error.message);
+        }
+    }
+
     async handleQRCode(channelId, qr) {
-        this.channels.set(channelId, {
-            ...this.channels.get(channelId),
+        let qrCode = null;
+        try {
+            qrCode = await renderQRCode(qr);
+        } catch (error) {
+            logger.error(`[${channelId}] Erro ao gerar imagem do QR Code:`, error.message);
+        }
+
+        this.setChannelState(channelId, {
             status: 'QRCODE',
             url_qrcode: qr,
-            lastSeen: new Date()
+            qrCode
         });
+        eventBus.publish(channelId, 'channel.qr', { url_qrcode: qr, qrCode });
         logger.info(`✅ QR Code pronto para canal ${channelId}`);
 
         const qrPromise = this.qrPromises.get(channelId);
@@ -249,16 +384,151 @@ class SessionManager {
         }
     }
 
+    /**
+     * No login por código, o primeiro evento de QR indica que o socket já pode pedir o pareamento.
+     * O código é pedido uma vez por socket; se expirar, a reconexão abre outro socket e gera um novo.
+     */
+    async handlePairingCode(channelId) {
+        const session = this.sessions.get(channelId);
+        if (!session || session.pairingRequested) {
+            return;
+        }
+        session.pairingRequested = true;
+
+        const qrPromise = this.qrPromises.get(channelId);
+
+        try {
+            const pairingCode = await session.socket.requestPairingCode(this.pairingNumbers.get(channelId));
+
+            this.setChannelState(channelId, {
+                status: 'PAIRING',
+                url_qrcode: null,
+                qrCode: null,
+                pairingCode
+            });
+            eventBus.publish(channelId, 'channel.pairing_code', { pairingCode });
+            logger.info(`✅ Código de pareamento pronto para canal ${channelId}`);
+
+            qrPromise?.resolve();
+        } catch (error) {
+            logger.error(`[${channelId}] Erro ao solicitar código de pareamento:`, error.message);
+            qrPromise?.reject(error);
+        }
+    }
+
+    /**
+     * Aguarda o QR Code ou código de pareamento da sessão que está iniciando.
+     * Não falha: sem código no prazo, o chamador devolve o status atual.
+     */
+    async waitForLoginCode(channelId, timeoutMs = 15000) {
+        let timer;
+        const codePromise = new Promise((resolve, reject) => {
+            this.qrPromises.set(channelId, { resolve, reject });
+        });
+
+        try {
+            await Promise.race([
+                codePromise,
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Timeout aguardando código de conexão')), timeoutMs);
+                })
+            ]);
+        } catch (error) {
+            logger.warn(`[${channelId}] ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+            this.qrPromises.delete(channelId);
+        }
+    }
+
+    getLoginData(channelId) {
+        const channel = this.channels.get(channelId);
+        return {
+            channelId,
+            status: channel?.status,
+            url_qrcode: channel?.url_qrcode || null,
+            qrCode: channel?.qrCode || null,
+            pairingCode: channel?.pairingCode || null
+        };
+    }
+
+    /**
+     * Atualiza o estado em memória do canal, espelha status/tentativas no cadastro persistente
+     * e publica channel.status quando o status muda
+     */
+    setChannelState(channelId, changes) {
+        const previousStatus = this.channels.get(channelId)?.status || null;
+        const state = {
+            ...this.channels.get(channelId),
+            ...changes,
+            lastSeen: new Date()
+        };
+        this.channels.set(channelId, state);
+
+        channelRegistry.update(channelId, {
+            lastStatus: state.status,
+            reconnectAttempts: state.reconnectAttempts || 0
+        });
+
+        if (state.status !== previousStatus) {
+            eventBus.publish(channelId, 'channel.status', {
+                status: state.status,
+                previousStatus,
+                reconnectAttempts: state.reconnectAttempts || 0
+            });
+        }
+
+        return state;
+    }
+
     getChannelStatus(channelId) {
         if (!this.channels.has(channelId)) {
             return null;
         }
+
+        const record = channelRegistry.get(channelId);
         return {
             channelId,
+            displayName: record?.displayName || channelId,
+            phoneNumber: record?.phoneNumber || null,
             ...this.channels.get(channelId)
         };
     }
 
+    /**
+     * Estado atual + cadastro completo (configurações, datas, último status persistido)
+     */
+    getChannelDetails(channelId) {
+        const status = this.getChannelStatus(channelId);
+        if (!status) {
+            return null;
+        }
+
+        return {
+            ...channelRegistry.get(channelId),
+            ...status
+        };
+    }
+
+    updateChannel(channelId, { displayName, settings }) {
+        if (!this.channels.has(channelId)) {
+            return null;
+        }
+
+        if (displayName !== undefined) {
+            channelRegistry.update(channelId, { displayName });
+        }
+        if (settings !== undefined) {
+            channelRegistry.updateSettings(channelId, settings);
+        }
+
+        return this.getChannelDetails(channelId);
+    }
+
+    getChannelSettings(channelId) {
+        return channelRegistry.get(channelId)?.settings || {};
+    }
+
     getSocket(channelId) {
         return this.sessions.get(channelId)?.socket || null;
     }
@@ -268,10 +538,18 @@ class SessionManager {
         return channel?.status === 'CONNECTED';
     }
 
+    /**
+     * Canal desconectado temporariamente, que deve voltar sem intervenção (sem novo QR Code)
+     */
+    isChannelRecovering(channelId) {
+        const channel = this.channels.get(channelId);
+        return ['CONNECTING', 'RECONNECTING', 'RESTORING'].includes(channel?.status);
+    }
+
     getAllChannels() {
         const channels = [];
-        for (const [channelId, data] of this.channels.entries()) {
-            channels.push({ channelId, ...data });
+        for (const channelId of this.channels.keys()) {
+            channels.push(this.getChannelDetails(channelId));
         }
         return channels;
     }
@@ -284,6 +562,16 @@ class SessionManager {
             }
             this.sessions.delete(channelId);
             this.channels.delete(channelId);
+            this.pairingNumbers.delete(channelId);
+            this.newLogins.delete(channelId);
+            channelRegistry.remove(channelId);
+            webhookService.removeWebhook(channelId);
+            eventBus.publish(channelId, 'channel.removed', {});
+
+            // Credenciais de uma sessão deslogada não servem mais para restaurar
+            const authStore = await getAuthStore();
+            await authStore.removeAuth(channelId);
+
             logger.info(`Canal ${channelId} fechado`);
         } catch (error) {
             logger.error(`Erro ao fechar canal ${channelId}:`, error);
@@ -293,6 +581,7 @@ class SessionManager {
     async regenerateQRCode(channelId) {
         try {
             logger.info(`Regenerando QR Code para canal ${channelId}`);
+            this.pairingNumbers.delete(channelId);
 
             const session = this.sessions.get(channelId);
             if (session?.socket) {
@@ -310,7 +599,8 @@ class SessionManager {
             return {
                 channelId,
                 status: this.channels.get(channelId)?.status,
-                url_qrcode: this.channels.get(channelId)?.url_qrcode
+                url_qrcode: this.channels.get(channelId)?.url_qrcode,
+                qrCode: this.channels.get(channelId)?.qrCode || null
             };
         } catch (error) {
             logger.error(`Erro ao regenerar QR Code ${channelId}:`, error);
@@ -318,6 +608,31 @@ class SessionManager {
         }
     }
 
+    /**
+     * Reinicia o login do canal pelo fluxo de código de pareamento (alternativa ao QR Code)
+     */
+    async requestPairingCode(channelId, phoneNumber) {
+        try {
+            logger.info(`Solicitando código de pareamento para canal ${channelId}`);
+            this.pairingNumbers.set(channelId, phoneNumber);
+            this.setChannelState(channelId, {
+                url_qrcode: null,
+                qrCode: null,
+                pairingCode: null
+            });
+
+            const loginCode = this.waitForLoginCode(channelId);
+            await this.initializeSession(channelId, true);
+            await loginCode;
+
+            return this.getLoginData(channelId);
+        } catch (error) {
+            logger.error(`Erro ao solicitar código de pareamento ${channelId}:`, error);
+            this.qrPromises.delete(channelId);
+            throw error;
+        }
+    }
+
     async testConnection(channelId) {
         try {
             const socket = this.getSocket(channelId);
@@ -335,6 +650,23 @@ class SessionManager {
         }
     }
 
+    /**
+     * Carrega um canal cadastrado que não tem credenciais para restaurar.
+     * Ele volta como LOGGED_OUT, com a mesma configuração, aguardando novo QR Code.
+     */
+    loadChannel(channelId) {
+        if (this.channels.has(channelId) || !channelRegistry.get(channelId)) {
+            return;
+        }
+
+        this.setChannelState(channelId, {
+            status: 'LOGGED_OUT',
+            url_qrcode: null,
+            qrCode: null,
+            reconnectAttempts: 0
+        });
+    }
+
     async restoreSession(channelId) {
         try {
             if (this.channels.has(channelId) && this.isChannelConnected(channelId)) {
@@ -342,15 +674,21 @@ class SessionManager {
                 return;
             }
 
-            const channelPath = path.join('src', 'channels', channelId);
-            if (!fs.existsSync(channelPath)) {
+            const authStore = await getAuthStore();
+            if (!await authStore.hasAuth(channelId)) {
                 throw new Error('Canal não encontrado');
             }
 
-            this.channels.set(channelId, {
+            // Sessões anteriores ao cadastro persistente entram nele na primeira restauração
+            if (!channelRegistry.get(channelId)) {
+                channelRegistry.register(channelId);
+            }
+
+            this.setChannelState(channelId, {
                 status: 'RESTORING',
                 url_qrcode: null,
-                lastSeen: new Date()
+                qrCode: null,
+                reconnectAttempts: channelRegistry.get(channelId).reconnectAttempts || 0
             });
 
             await this.initializeSession(channelId, false);
@@ -0,0 +1,84 @@
+import { JsonStore } from '../utils/store.js';
+
+/**
+ * Cadastro persistente dos canais (DATA_DIR/channels.json): metadados, configurações
+ * e último estado conhecido, para que os canais voltem iguais após um reinício.
+ */
+class ChannelRegistry {
+    constructor() {
+        this.store = new JsonStore('channels.json'); // channelId -> registro
+    }
+
+    get(channelId) {
+        return this.store.load()[channelId] || null;
+    }
+
+    list() {
+        return Object.values(this.store.load())
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    register(channelId, { displayName, settings } = {}) {
+        const channels = this.store.load();
+        const now = new Date().toISOString();
+
+        channels[channelId] = {
+            channelId,
+            displayName: displayName || channelId,
+            settings: settings || {},
+            phoneNumber: null,
+            pushName: null,
+            lastStatus: 'CREATED',
+            lastStatusAt: now,
+            reconnectAttempts: 0,
+            lastConnectedAt: null,
+            pairedAt: null,
+            createdAt: channels[channelId]?.createdAt || now,
+            updatedAt: now
+        };
+        this.store.save();
+
+        return channels[channelId];
+    }
+
+    /**
+     * Atualiza campos do registro; ignora canais não cadastrados (ex: removidos durante uma reconexão)
+     */
+    update(channelId, changes) {
+        const record = this.get(channelId);
+        if (!record) {
+            return null;
+        }
+
+        if (changes.lastStatus && changes.lastStatus !== record.lastStatus) {
+            changes.lastStatusAt = new Date().toISOString();
+        }
+
+        Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+        this.store.save();
+
+        return record;
+    }
+
+    updateSettings(channelId, settings) {
+        const record = this.get(channelId);
+        if (!record) {
+            return null;
+        }
+
+        return this.update(channelId, { settings: { ...record.settings, ...settings } });
+    }
+
+    remove(channelId) {
+        const channels = this.store.load();
+        if (!channels[channelId]) {
+            return false;
+        }
+
+        delete channels[channelId];
+        this.store.save();
+        return true;
+    }
+}
+
+export default new ChannelRegistry();
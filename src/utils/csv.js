@@ -0,0 +1,83 @@
+// Colunas aceitas como número de telefone (destinatário de campanha, verificação em massa)
+export const NUMBER_COLUMNS = ['to', 'number', 'numero', 'phone', 'telefone'];
+
+/**
+ * Parser de CSV simples (RFC 4180): suporta campos entre aspas, aspas escapadas ("")
+ * e quebras de linha dentro de aspas. Detecta ';' como separador quando o cabeçalho
+ * não contém vírgulas (padrão do Excel em português).
+ */
+export function parseCsvRows(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const separator = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converte o CSV em objetos usando a primeira linha como cabeçalho
+ */
+export function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+
+    const keys = header.map(key => key.trim());
+    return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()])));
+}
+
+/**
+ * Números de telefone do CSV: coluna reconhecida em NUMBER_COLUMNS ou, sem cabeçalho
+ * reconhecido, a primeira coluna de todas as linhas
+ */
+export function parseCsvNumbers(text) {
+    const rows = parseCsvRows(text);
+    const header = (rows[0] || []).map(key => key.trim().toLowerCase());
+    const column = header.findIndex(key => NUMBER_COLUMNS.includes(key));
+
+    if (column === -1) {
+        return rows.map(row => row[0].trim()).filter(Boolean);
+    }
+    return rows.slice(1).map(row => (row[column] ?? '').trim()).filter(Boolean);
+}
@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { detectFileType } from './file-type.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS) || 60000;
+
+// Tipo detectado pelo conteúdo (file-type.js) -> demuxer do ffmpeg. A entrada vem do cliente e o
+// formato é sempre forçado: sem isso o ffmpeg aceitaria playlists (HLS, concat) que apontam para
+// URLs e arquivos fora do alcance do safeFetch
+const DEMUXERS = {
+    jpeg: 'jpeg_pipe',
+    png: 'png_pipe',
+    gif: 'gif',
+    webp: 'webp_pipe',
+    wav: 'wav',
+    avi: 'avi',
+    mp4: 'mov',
+    webm: 'matroska',
+    ogg: 'ogg',
+    mp3: 'mp3'
+};
+
+let capabilities = null;
+
+function run(args, { timeoutMs = FFMPEG_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stdout = [];
+        let stderr = '';
+
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+        child.stdout.on('data', (chunk) => stdout.push(chunk));
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                return reject(new Error(signal ? `ffmpeg interrompido (${signal})` : `ffmpeg saiu com código ${code}: ${stderr.trim()}`));
+            }
+            resolve(Buffer.concat(stdout));
+        });
+    });
+}
+
+/**
+ * Conversões disponíveis no servidor, verificadas uma vez: ffmpeg instalado (FFMPEG_PATH) e os
+ * encoders libopus (notas de voz) e libwebp (figurinhas). Miniaturas usam o mjpeg, sempre incluso.
+ */
+export function getCapabilities() {
+    if (!capabilities) {
+        capabilities = Promise.all([
+            run(['-hide_banner', '-version'], { timeoutMs: 10000 }),
+            run(['-hide_banner', '-encoders'], { timeoutMs: 10000 })
+        ]).then(([version, encoders]) => {
+            const list = encoders.toString();
+            return {
+                available: true,
+                version: version.toString().split('\n')[0].match(/version (\S+)/)?.[1] || null,
+                voiceNote: /\slibopus\s/.test(list),
+                sticker: /\slibwebp\s/.test(list),
+                thumbnail: true
+            };
+        }).catch(() => ({
+            available: false,
+            version: null,
+            voiceNote: false,
+            sticker: false,
+            thumbnail: false
+        }));
+    }
+    return capabilities;
+}
+
+async function readHeader(filePath) {
+    const file = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(512), 0, 512, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await file.close();
+    }
+}
+
+/**
+ * Executa a conversão a partir de um Buffer ou do caminho de um arquivo em disco. Buffers são
+ * gravados em um arquivo temporário: formatos como mp4/m4a não podem ser lidos de um pipe.
+ * A entrada só é lida como arquivo local, no demuxer do tipo detectado; tipos sem demuxer
+ * conhecido são recusados com UNSUPPORTED_MEDIA_FORMAT.
+ */
+async function convert(input, args) {
+    const type = detectFileType(typeof input === 'string' ? await readHeader(input) : input);
+    if (!DEMUXERS[type]) {
+        throw new Error('UNSUPPORTED_MEDIA_FORMAT');
+    }
+
+    const inputArgs = (file) => [
+        '-hide_banner', '-loglevel', 'error',
+        '-protocol_whitelist', 'file,pipe', '-f', DEMUXERS[type], '-i', file
+    ];
+
+    if (typeof input === 'string') {
+        return run([...inputArgs(input), ...args, 'pipe:1']);
+    }
+
+    const tempFile = path.join(os.tmpdir(), `mga-${crypto.randomUUID()}`);
+    await fs.writeFile(tempFile, input);
+    try {
+        return await run([...inputArgs(tempFile), ...args, 'pipe:1']);
+    } finally {
+        await fs.rm(tempFile, { force: true });
+    }
+}
+
+/**
+ * Nota de voz (ptt): o WhatsApp só reproduz como áudio gravado o Opus mono em contêiner OGG
+ */
+export function toVoiceNote(input) {
+    return convert(input, ['-vn', '-c:a', 'libopus', '-b:a', '48k', '-ac', '1', '-ar', '48000', '-application', 'voip', '-f', 'ogg']);
+}
+
+/**
+ * Figurinha: WebP 512x512 com fundo transparente; GIFs e vídeos viram figurinhas animadas (até 10s)
+ */
+export function toSticker(input) {
+    return convert(input, [
+        '-t', '10', '-an',
+        '-vf', 'fps=15,scale=512:512:force_original_aspect_ratio=decrease,format=rgba,pad=512:512:(ow-iw)/2:(oh-ih)/2:color=0x00000000',
+        '-c:v', 'libwebp', '-lossless', '0', '-q:v', '75', '-loop', '0', '-f', 'webp'
+    ]);
+}
+
+/**
+ * Miniatura JPEG exibida antes do download (jpegThumbnail), com 72px de largura
+ */
+export function toThumbnail(input) {
+    return convert(input, ['-frames:v', '1', '-vf', 'scale=72:-2', '-c:v', 'mjpeg', '-f', 'image2']);
+}
@@ -0,0 +1,67 @@
+// Assinaturas (magic bytes) no início do arquivo -> tipo detectado
+const SIGNATURES = [
+    { type: 'pdf', test: (b) => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { type: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { type: 'gif', test: (b) => /^GIF8[79]a$/.test(b.subarray(0, 6).toString('latin1')) },
+    { type: 'webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { type: 'wav', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WAVE' },
+    { type: 'avi', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'AVI ' },
+    { type: 'mp4', test: (b) => b.subarray(4, 8).toString('latin1') === 'ftyp' },
+    { type: 'webm', test: (b) => b.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])) },
+    { type: 'ogg', test: (b) => b.subarray(0, 4).toString('latin1') === 'OggS' },
+    { type: 'mp3', test: (b) => b.subarray(0, 3).toString('latin1') === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+    { type: 'zip', test: (b) => b[0] === 0x50 && b[1] === 0x4b && [0x03, 0x05, 0x07].includes(b[2]) },
+    { type: 'ole', test: (b) => b.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) },
+    { type: 'html', test: (b) => /^\s*(<!doctype html|<html|<head|<body)/i.test(b.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '')) }
+];
+
+// Extensão -> tipos aceitos. Imagens aceitam qualquer formato de imagem (extensão trocada é comum);
+// .mov e .m4a são contêineres ISO (ftyp) como o mp4; Office moderno é zip e o antigo é OLE.
+const IMAGE_TYPES = ['jpeg', 'png', 'gif', 'webp'];
+const EXPECTED_TYPES = {
+    '.pdf': ['pdf'],
+    '.jpg': IMAGE_TYPES,
+    '.jpeg': IMAGE_TYPES,
+    '.png': IMAGE_TYPES,
+    '.gif': IMAGE_TYPES,
+    '.webp': IMAGE_TYPES,
+    '.mp4': ['mp4'],
+    '.mov': ['mp4'],
+    '.avi': ['avi'],
+    '.mp3': ['mp3'],
+    '.m4a': ['mp4'],
+    '.ogg': ['ogg'],
+    '.wav': ['wav'],
+    '.zip': ['zip'],
+    '.docx': ['zip'],
+    '.xlsx': ['zip'],
+    '.pptx': ['zip'],
+    '.doc': ['ole'],
+    '.xls': ['ole'],
+    '.ppt': ['ole']
+};
+
+/**
+ * Tipo real do arquivo pelos primeiros bytes (pdf, png, jpeg, html...), ou null se desconhecido
+ */
+export function detectFileType(buffer) {
+    return SIGNATURES.find(signature => signature.test(buffer))?.type || null;
+}
+
+/**
+ * Confere o conteúdo com a extensão informada. Extensões sem assinatura conhecida (.txt, .csv...)
+ * aceitam qualquer conteúdo, exceto uma página HTML, que costuma ser uma página de erro ou de login
+ * devolvida no lugar do arquivo.
+ * Retorna { valid, detected }.
+ */
+export function checkFileType(buffer, extension) {
+    const detected = detectFileType(buffer);
+    const expected = EXPECTED_TYPES[extension];
+
+    if (!expected) {
+        return { valid: detected !== 'html' || ['.html', '.htm'].includes(extension), detected };
+    }
+
+    return { valid: expected.includes(detected), detected };
+}
@@ -0,0 +1,116 @@
+import { getContentType, normalizeMessageContent } from '@whiskeysockets/baileys';
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    documentWithCaptionMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+const POLL_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+
+// Mensagens de controle do protocolo que não representam conteúdo enviado pelo cliente
+const IGNORED_TYPES = ['protocolMessage', 'senderKeyDistributionMessage', 'messageContextInfo'];
+
+function toTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = typeof value === 'object' ? Number(value.low ?? value) : Number(value);
+    return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Converte uma mensagem do Baileys (WAMessage) em um payload JSON estável,
+ * independente da estrutura interna do protobuf.
+ * Retorna null para mensagens sem conteúdo relevante (protocolo, sincronização etc).
+ */
+export function parseMessage(msg) {
+    const content = normalizeMessageContent(msg.message);
+    if (!content) {
+        return null;
+    }
+
+    const contentType = getContentType(content);
+    if (!contentType || IGNORED_TYPES.includes(contentType)) {
+        return null;
+    }
+
+    let inner = content[contentType];
+    if (contentType === 'documentWithCaptionMessage') {
+        inner = inner?.message?.documentMessage;
+    }
+
+    const remoteJid = msg.key.remoteJid;
+    const isGroup = remoteJid?.endsWith('@g.us') || false;
+    const contextInfo = inner?.contextInfo;
+
+    const parsed = {
+        id: msg.key.id,
+        chatId: remoteJid,
+        from: isGroup ? (msg.key.participant || msg.participant) : remoteJid,
+        fromMe: msg.key.fromMe || false,
+        pushName: msg.pushName || null,
+        isGroup,
+        timestamp: toTimestamp(msg.messageTimestamp),
+        type: 'unknown',
+        quotedMessageId: contextInfo?.stanzaId || null,
+        mentions: contextInfo?.mentionedJid || []
+    };
+
+    if (contentType === 'conversation') {
+        parsed.type = 'text';
+        parsed.text = content.conversation;
+    } else if (contentType === 'extendedTextMessage') {
+        parsed.type = 'text';
+        parsed.text = inner.text;
+    } else if (MEDIA_TYPES[contentType]) {
+        parsed.type = MEDIA_TYPES[contentType];
+        parsed.caption = inner?.caption || null;
+        parsed.media = {
+            mimetype: inner?.mimetype || null,
+            fileName: inner?.fileName || null,
+            size: inner?.fileLength ? Number(inner.fileLength) : null,
+            seconds: inner?.seconds || null,
+            ptt: inner?.ptt || false
+        };
+    } else if (contentType === 'locationMessage' || contentType === 'liveLocationMessage') {
+        parsed.type = 'location';
+        parsed.location = {
+            latitude: inner.degreesLatitude,
+            longitude: inner.degreesLongitude,
+            name: inner.name || null,
+            address: inner.address || null,
+            live: contentType === 'liveLocationMessage'
+        };
+    } else if (contentType === 'contactMessage') {
+        parsed.type = 'contact';
+        parsed.contacts = [{ displayName: inner.displayName, vcard: inner.vcard }];
+    } else if (contentType === 'contactsArrayMessage') {
+        parsed.type = 'contact';
+        parsed.contacts = (inner.contacts || []).map(contact => ({
+            displayName: contact.displayName,
+            vcard: contact.vcard
+        }));
+    } else if (contentType === 'reactionMessage') {
+        parsed.type = 'reaction';
+        parsed.reaction = {
+            emoji: inner.text || null,
+            messageId: inner.key?.id || null,
+            removed: !inner.text
+        };
+    } else if (POLL_TYPES.includes(contentType)) {
+        parsed.type = 'poll';
+        parsed.poll = {
+            name: inner.name,
+            options: (inner.options || []).map(option => option.optionName),
+            selectableCount: inner.selectableOptionsCount || 0
+        };
+    } else {
+        parsed.type = contentType.replace(/Message$/, '');
+    }
+
+    return parsed;
+}
@@ -0,0 +1,114 @@
+import { parsePhoneNumberFromString, validatePhoneNumberLength, isSupportedCountry } from 'libphonenumber-js/max';
+
+export const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'BR').toUpperCase();
+
+// Motivo da rejeição -> mensagem exibida ao cliente
+export const PHONE_ERRORS = {
+    EMPTY: 'Número não informado',
+    NOT_A_NUMBER: 'O valor informado não é um número de telefone',
+    INVALID_COUNTRY: 'Código do país inválido ou país padrão não suportado',
+    TOO_SHORT: 'Número curto demais para o país',
+    TOO_LONG: 'Número longo demais para o país',
+    INVALID_LENGTH: 'Quantidade de dígitos inválida para o país',
+    INVALID_NUMBER: 'Número inexistente no plano de numeração do país (DDD/prefixo inválido)'
+};
+
+export function isValidCountry(country) {
+    return typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+}
+
+/**
+ * Primeiro código de país válido entre os informados (ex: da requisição, do canal), ou DEFAULT_COUNTRY
+ */
+export function resolveCountry(...countries) {
+    const country = countries.find(isValidCountry);
+    return country ? country.toUpperCase() : DEFAULT_COUNTRY;
+}
+
+/**
+ * Celulares brasileiros informados sem o nono dígito (DDD + 8 dígitos começando com 6-9)
+ * são inválidos no plano atual; insere o 9 para validar.
+ */
+function withBrazilianNinthDigit(phone) {
+    const national = phone.nationalNumber;
+    if (phone.country !== 'BR' || phone.isValid() || national.length !== 10 || !/[6-9]/.test(national[2])) {
+        return phone;
+    }
+
+    const fixed = parsePhoneNumberFromString(`+55${national.slice(0, 2)}9${national.slice(2)}`);
+    return fixed?.isValid() ? fixed : phone;
+}
+
+function describe(phone) {
+    return {
+        valid: true,
+        number: phone.number,
+        digits: phone.number.slice(1),
+        country: phone.country || null,
+        countryCallingCode: phone.countryCallingCode,
+        nationalNumber: phone.nationalNumber,
+        type: phone.getType() || null
+    };
+}
+
+function reject(reason) {
+    return { valid: false, reason, message: PHONE_ERRORS[reason] };
+}
+
+/**
+ * Interpreta um número em formato E.164 (+351912345678, 00351...) ou nacional, usando o país padrão.
+ * Números só com dígitos são tentados primeiro como nacionais e depois como internacionais sem "+"
+ * (ex: 5511999999999), mantendo compatibilidade com o formato já usado pela API.
+ * Retorna { valid: true, number: '+5511999999999', digits, country, ... } ou { valid: false, reason, message }.
+ */
+export function parsePhoneNumber(input, defaultCountry = DEFAULT_COUNTRY) {
+    if (input === undefined || input === null || String(input).trim() === '') {
+        return reject('EMPTY');
+    }
+
+    const raw = String(input).trim();
+    if (!/^[+\d\s().-]+$/.test(raw)) {
+        return reject('NOT_A_NUMBER');
+    }
+
+    const country = defaultCountry ? defaultCountry.toUpperCase() : undefined;
+    if (country && !isSupportedCountry(country)) {
+        return reject('INVALID_COUNTRY');
+    }
+
+    const digits = raw.replace(/\D/g, '');
+    const international = raw.startsWith('+') || raw.startsWith('00');
+    const attempts = international
+        ? [`+${digits.replace(/^00/, '')}`]
+        : [raw, `+${digits}`];
+
+    for (const attempt of attempts) {
+        const phone = parsePhoneNumberFromString(attempt, attempt.startsWith('+') ? undefined : country);
+        if (!phone) {
+            continue;
+        }
+
+        const normalized = withBrazilianNinthDigit(phone);
+        if (normalized.isValid()) {
+            return describe(normalized);
+        }
+    }
+
+    const lengthError = international
+        ? validatePhoneNumberLength(attempts[0])
+        : validatePhoneNumberLength(raw, country);
+
+    return reject(lengthError || 'INVALID_NUMBER');
+}
+
+/**
+ * Variantes a consultar no WhatsApp. Contas brasileiras antigas podem estar registradas sem o nono
+ * dígito, então celulares BR são consultados com e sem ele.
+ */
+export function getPhoneVariants(phone) {
+    const national = phone.nationalNumber;
+    if (phone.country === 'BR' && national.length === 11 && national[2] === '9') {
+        return [phone.digits, `55${national.slice(0, 2)}${national.slice(3)}`];
+    }
+    return [phone.digits];
+}
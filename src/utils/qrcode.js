@@ -0,0 +1,24 @@
+import QRCode from 'qrcode';
+
+const RENDER_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 320
+};
+
+/**
+ * Converte o texto do QR Code do Baileys em imagem.
+ * format: 'png' (Buffer), 'svg' (string) ou 'dataurl' (data:image/png;base64,...)
+ */
+export async function renderQRCode(qr, format = 'dataurl') {
+    switch (format) {
+        case 'png':
+            return QRCode.toBuffer(qr, { ...RENDER_OPTIONS, type: 'png' });
+        case 'svg':
+            return QRCode.toString(qr, { ...RENDER_OPTIONS, type: 'svg' });
+        case 'dataurl':
+            return QRCode.toDataURL(qr, RENDER_OPTIONS);
+        default:
+            throw new Error(`Formato de QR Code inválido: ${format}`);
+    }
+}
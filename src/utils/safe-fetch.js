@@ -0,0 +1,184 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+
+export const DOWNLOAD_MAX_SIZE_MB = parseFloat(process.env.DOWNLOAD_MAX_SIZE_MB) || 100;
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOWNLOAD_TIMEOUT_MS) || 30000;
+const DOWNLOAD_MAX_REDIRECTS = parseInt(process.env.DOWNLOAD_MAX_REDIRECTS) || 5;
+// Somente para desenvolvimento: permite baixar de localhost e da rede interna
+const DOWNLOAD_ALLOW_PRIVATE = process.env.DOWNLOAD_ALLOW_PRIVATE === 'true';
+
+// Loopback, redes privadas, link-local (inclui metadados de nuvem em 169.254.169.254), CGNAT,
+// multicast e faixas reservadas
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+
+    // BlockList também confere IPv4 mapeado em IPv6 (::ffff:127.0.0.1) nas faixas IPv4
+    return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Domínio permitido pela lista do canal: o próprio domínio ou um subdomínio dele.
+ * Lista vazia ou ausente libera qualquer domínio público.
+ */
+export function isAllowedDomain(hostname, allowedDomains) {
+    if (!Array.isArray(allowedDomains) || allowedDomains.length === 0) {
+        return true;
+    }
+
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return allowedDomains.some(domain => {
+        const allowed = String(domain).toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+        return host === allowed || host.endsWith(`.${allowed}`);
+    });
+}
+
+/**
+ * Resolve o DNS e recusa endereços internos. Usada como lookup da própria conexão, o endereço
+ * validado é o mesmo conectado, sem janela para o DNS mudar entre a verificação e o download.
+ */
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        if (!DOWNLOAD_ALLOW_PRIVATE && addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error('URL_NOT_ALLOWED'));
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function checkUrl(url, allowedDomains) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('INVALID_URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('INVALID_URL');
+    }
+    if (parsed.username || parsed.password) {
+        throw new Error('URL_NOT_ALLOWED');
+    }
+
+    // IP literal não passa pelo lookup
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !DOWNLOAD_ALLOW_PRIVATE && isPrivateAddress(hostname)) {
+        throw new Error('URL_NOT_ALLOWED');
+    }
+    if (!isAllowedDomain(hostname, allowedDomains)) {
+        throw new Error('DOMAIN_NOT_ALLOWED');
+    }
+
+    return parsed;
+}
+
+function request(url, { maxBytes, deadline }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, { lookup: safeLookup }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                return resolve({ redirect: new URL(res.headers.location, url).href });
+            }
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`HTTP ${res.statusCode}`));
+            }
+
+            if (parseInt(res.headers['content-length']) > maxBytes) {
+                res.destroy();
+                return reject(new Error('FILE_TOO_LARGE'));
+            }
+
+            // Content-Length pode estar ausente ou mentir: o limite vale para os bytes recebidos
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    res.destroy();
+                    return reject(new Error('FILE_TOO_LARGE'));
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve({
+                    buffer: Buffer.concat(chunks),
+                    contentType: res.headers['content-type'] || null
+                });
+            });
+            res.on('error', reject);
+        });
+
+        // Prazo total do download, somando os redirecionamentos
+        const timer = setTimeout(() => req.destroy(new Error('TIMEOUT')), Math.max(deadline - Date.now(), 0));
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.on('close', () => clearTimeout(timer));
+    });
+}
+
+/**
+ * Download de URLs informadas pelos clientes da API, protegido contra SSRF: só http(s), endereços
+ * internos recusados após a resolução de DNS (em cada redirecionamento), lista opcional de domínios
+ * e tamanho máximo verificado durante o download.
+ * Erros: INVALID_URL, URL_NOT_ALLOWED, DOMAIN_NOT_ALLOWED, FILE_TOO_LARGE ou DOWNLOAD_FAILED.
+ * Retorna { buffer, contentType, url } com a URL final, após os redirecionamentos.
+ */
+export async function safeFetch(url, { allowedDomains, maxBytes = DOWNLOAD_MAX_SIZE_MB * 1024 * 1024 } = {}) {
+    const deadline = Date.now() + DOWNLOAD_TIMEOUT_MS;
+    let current = url;
+
+    for (let redirects = 0; redirects <= DOWNLOAD_MAX_REDIRECTS; redirects++) {
+        const parsed = checkUrl(current, allowedDomains);
+
+        let result;
+        try {
+            result = await request(parsed, { maxBytes, deadline });
+        } catch (error) {
+            if (['URL_NOT_ALLOWED', 'FILE_TOO_LARGE'].includes(error.message)) {
+                throw error;
+            }
+            throw Object.assign(new Error('DOWNLOAD_FAILED'), { reason: error.message });
+        }
+
+        if (!result.redirect) {
+            return { ...result, url: current };
+        }
+        current = result.redirect;
+    }
+
+    throw Object.assign(new Error('DOWNLOAD_FAILED'), { reason: 'Redirecionamentos demais' });
+}
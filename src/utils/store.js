@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const DATA_DIR = process.env.DATA_DIR || 'data';
+
+// Stores com gravação agendada por saveSoon(), para gravar tudo no encerramento
+const pendingSaves = new Set();
+
+/**
+ * Objeto sem protótipo: as chaves vêm de ids informados pelo cliente, e store[id] não pode
+ * devolver membros de Object.prototype (ex: GET /keys/__proto__)
+ */
+function toDictionary(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    return Object.assign(Object.create(null), value);
+}
+
+/**
+ * Grava as alterações ainda agendadas por saveSoon() (ex: no encerramento do servidor)
+ */
+export function flushPendingSaves() {
+    for (const store of pendingSaves) {
+        store.save();
+    }
+}
+
+/**
+ * Armazenamento simples em arquivo JSON dentro de DATA_DIR.
+ * O conteúdo é mantido em memória e regravado por completo a cada save(),
+ * usando arquivo temporário + rename para não corromper o JSON em caso de queda.
+ */
+export class JsonStore {
+    constructor(fileName, defaults = {}) {
+        this.filePath = path.join(DATA_DIR, fileName);
+        this.defaults = defaults;
+        this.data = null;
+        this.saveTimer = null;
+    }
+
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.data = toDictionary(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+            }
+        } catch (error) {
+            logger.error(`Erro ao ler ${this.filePath}:`, error.message);
+        }
+
+        if (!this.data) {
+            this.data = toDictionary(structuredClone(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        pendingSaves.delete(this);
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.data ?? this.defaults, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error(`Erro ao gravar ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Agrupa as alterações dos próximos delayMs num único save(), para dados alterados com
+     * frequência em que perder os últimos instantes numa queda é aceitável
+     */
+    saveSoon(delayMs = 1000) {
+        if (this.saveTimer) {
+            return;
+        }
+        pendingSaves.add(this);
+        this.saveTimer = setTimeout(() => this.save(), delayMs);
+    }
+}
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './store.js';
+import { logger } from './logger.js';
+
+// Arquivos recebidos por multipart/form-data, mantidos até o envio terminar
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(DATA_DIR, 'uploads');
+
+/**
+ * Grava em UPLOAD_DIR o conteúdo de um envio agendado ou na fila recebido em base64, para que o job
+ * persistido guarde só a referência. Retorna { path, size }, removido com removeUpload.
+ */
+export async function storeUpload(buffer) {
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    const filePath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}.bin`);
+    await fs.promises.writeFile(filePath, buffer);
+    return { path: filePath, size: buffer.length };
+}
+
+/**
+ * Remove o arquivo de um upload ({ path, ... }) já enviado ou descartado
+ */
+export function removeUpload(upload) {
+    if (!upload?.path) {
+        return;
+    }
+
+    fs.rm(upload.path, { force: true }, (error) => {
+        if (error) {
+            logger.error(`Erro ao remover upload ${upload.path}:`, error.message);
+        }
+    });
+}
@@ -0,0 +1,33 @@
+import Ajv from 'ajv';
+import localize from 'ajv-i18n/localize/pt-BR/index.js';
+
+// coerceTypes: campos de multipart/form-data chegam como texto ("true", "-23.5")
+const ajv = new Ajv({ allErrors: true, discriminator: true, coerceTypes: true });
+// Anotação do OpenAPI, ignorada na validação
+ajv.addKeyword('example');
+
+export function compileSchema(schema) {
+    return ajv.compile(schema);
+}
+
+/**
+ * Erros do Ajv -> [{ field, message }] em português. Campos obrigatórios ausentes aparecem
+ * com o nome do campo; os demais com o caminho (ex: contacts/0/phone).
+ */
+export function describeErrors(errors) {
+    localize(errors);
+
+    const details = errors
+        // Falhas de anyOf/oneOf repetem os erros das alternativas já listados
+        .filter(error => !['anyOf', 'oneOf', 'discriminator'].includes(error.keyword) || errors.length === 1)
+        .map(error => ({
+            field: error.keyword === 'required'
+                ? [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join('/')
+                : error.instancePath.slice(1) || null,
+            message: error.message
+        }));
+
+    return details.filter((detail, index) =>
+        details.findIndex(other => other.field === detail.field && other.message === detail.message) === index
+    );
+}
@@ -0,0 +1,28 @@
+const SWAGGER_UI_URL = process.env.SWAGGER_UI_URL || 'https://unpkg.com/swagger-ui-dist@5';
+
+/**
+ * Documentação interativa (Swagger UI) do /openapi.json. As requisições de teste usam a API Key
+ * informada em "Authorize".
+ */
+export function renderApiDocsPage(specUrl) {
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>MGA WhatsApp API - Documentação</title>
+<link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+<div id="swagger-ui"></div>
+<script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+<script>
+    window.ui = SwaggerUIBundle({
+        url: ${JSON.stringify(specUrl)},
+        dom_id: '#swagger-ui',
+        persistAuthorization: true
+    });
+</script>
+</body>
+</html>`;
+}
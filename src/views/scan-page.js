@@ -0,0 +1,126 @@
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Página de mensagem simples (link inválido, expirado, canal inexistente)
+ */
+export function renderMessagePage(title, message) {
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #f0f2f5; display: flex; justify-content: center; padding: 48px 16px; }
+    .card { background: #fff; border-radius: 12px; padding: 32px; max-width: 420px; text-align: center; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+</style>
+</head>
+<body>
+<div class="card">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Página de conexão do canal: consulta /scan/:channelId/state a cada 2s, troca a imagem
+ * quando o Baileys gira o QR Code e mostra a confirmação quando o canal conecta
+ */
+export function renderScanPage({ channelId, displayName, token }) {
+    const stateUrl = `${encodeURIComponent(channelId)}/state?token=${encodeURIComponent(token)}`;
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Conectar ${escapeHtml(displayName)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; background: #f0f2f5; display: flex; justify-content: center; padding: 48px 16px; }
+    .card { background: #fff; border-radius: 12px; padding: 32px; max-width: 420px; text-align: center; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+    #qr { width: 280px; height: 280px; }
+    #pairing { font-size: 32px; letter-spacing: 4px; font-weight: bold; }
+    .muted { color: #667781; font-size: 14px; }
+    .success { color: #008069; }
+    [hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<div class="card">
+    <h1>${escapeHtml(displayName)}</h1>
+    <div id="waiting">
+        <p>Aguardando código de conexão...</p>
+    </div>
+    <div id="qr-view" hidden>
+        <p>No WhatsApp, abra <strong>Aparelhos conectados &gt; Conectar um aparelho</strong> e escaneie:</p>
+        <img id="qr" alt="QR Code">
+        <p class="muted">O código é atualizado automaticamente.</p>
+    </div>
+    <div id="pairing-view" hidden>
+        <p>No WhatsApp, abra <strong>Aparelhos conectados &gt; Conectar com número de telefone</strong> e digite:</p>
+        <p id="pairing"></p>
+    </div>
+    <div id="connected-view" hidden>
+        <h2 class="success">✅ Conectado</h2>
+        <p>O canal está pronto para uso. Você já pode fechar esta página.</p>
+    </div>
+    <p id="status" class="muted"></p>
+</div>
+<script>
+    const views = ['waiting', 'qr-view', 'pairing-view', 'connected-view'];
+
+    function show(view) {
+        for (const id of views) {
+            document.getElementById(id).hidden = id !== view;
+        }
+    }
+
+    async function refresh() {
+        try {
+            const response = await fetch(${JSON.stringify(stateUrl)}, { cache: 'no-store' });
+            if (response.status === 401 || response.status === 404) {
+                document.getElementById('status').textContent = 'Link expirado ou inválido. Solicite um novo link.';
+                return;
+            }
+
+            const { data } = await response.json();
+            document.getElementById('status').textContent = 'Status: ' + data.status;
+
+            if (data.status === 'CONNECTED') {
+                show('connected-view');
+                return;
+            }
+
+            if (data.status === 'PAIRING' && data.pairingCode) {
+                document.getElementById('pairing').textContent = data.pairingCode;
+                show('pairing-view');
+            } else if (data.status === 'QRCODE' && data.qrCode) {
+                const img = document.getElementById('qr');
+                if (img.src !== data.qrCode) {
+                    img.src = data.qrCode;
+                }
+                show('qr-view');
+            } else {
+                show('waiting');
+            }
+        } catch (error) {
+            document.getElementById('status').textContent = 'Sem conexão com o servidor, tentando novamente...';
+        }
+
+        setTimeout(refresh, 2000);
+    }
+
+    refresh();
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+
+const { default: campaignsRoutes } = await import('../src/routes/campaigns.routes.js');
+const { default: campaignService } = await import('../src/services/campaign.service.js');
+const { default: sessionManager } = await import('../src/sessions/manager.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    sessionManager.channels.set('loja', { status: 'CONNECTED' });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.apiKey = { id: 'test', permissions: ['read', 'send', 'admin'], channels: ['*'] };
+        next();
+    });
+    app.use('/campaigns', campaignsRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+const VALID = {
+    channelId: 'loja',
+    message: { type: 'text', text: 'Olá {{nome}}' },
+    recipients: ['5511999999999'],
+    scheduledAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+};
+
+async function createCampaign(body) {
+    const response = await fetch(`${baseUrl}/campaigns`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const INVALID_CASES = [
+    ['recipients em texto', { recipients: 'abc' }, 'INVALID_RECIPIENTS'],
+    ['recipients com item nulo', { recipients: [null] }, 'INVALID_RECIPIENTS'],
+    ['variables que não são objeto', { recipients: [{ to: '5511999999999', variables: 'x' }] }, 'INVALID_RECIPIENTS'],
+    ['csv que não é texto', { recipients: undefined, csv: ['to'] }, 'INVALID_CSV'],
+    ['throttle nulo', { throttle: null }, 'INVALID_THROTTLE'],
+    ['throttle em lista', { throttle: [1000] }, 'INVALID_THROTTLE'],
+    ['message em texto', { message: 'oi' }, 'INVALID_MESSAGE'],
+    ['text numérico', { message: { type: 'text', text: 123 } }, 'INVALID_MESSAGE'],
+    ['caption em objeto', { message: { type: 'image', imageUrl: 'https://exemplo.com/a.jpg', caption: {} } }, 'INVALID_MESSAGE'],
+    ['imageUrl que não é texto', { message: { type: 'image', imageUrl: ['https://exemplo.com/a.jpg'] } }, 'INVALID_MESSAGE'],
+    ['destinatário sem número', { recipients: [{}] }, 'NO_RECIPIENTS'],
+    ['csv sem coluna de telefone', { recipients: undefined, csv: 'nome\nAna' }, 'NO_RECIPIENTS'],
+    ['scheduledAt numérico', { scheduledAt: 123 }, 'INVALID_SCHEDULE']
+];
+
+for (const [name, changes, error] of INVALID_CASES) {
+    test(`retorna 400 para ${name}`, async () => {
+        const response = await createCampaign({ ...VALID, ...changes });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, error);
+    });
+}
+
+test('cria campanha a partir de csv', async () => {
+    const response = await createCampaign({ ...VALID, recipients: undefined, csv: 'numero;nome\n5511999999999;Ana' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.stats.total, 1);
+    campaignService.cancelCampaign(response.body.data.id);
+});
+
+test('cria campanha agendada com throttle', async () => {
+    const response = await createCampaign({ ...VALID, throttle: { delayMs: 500 } });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.status, 'scheduled');
+    assert.equal(response.body.data.throttle.delayMs, 500);
+    campaignService.cancelCampaign(response.body.data.id);
+});
@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+
+const { idempotent } = await import('../src/middlewares/idempotency.middleware.js');
+
+let server;
+let baseUrl;
+let calls = 0;
+let gate = null;
+let nextStatus = 200;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.apiKey = { id: 'test' };
+        next();
+    });
+    app.post('/send', idempotent, async (req, res) => {
+        calls++;
+        if (gate) {
+            await gate.promise;
+        }
+        res.status(nextStatus).json({ success: nextStatus < 400, call: calls });
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+function createGate() {
+    let open;
+    const promise = new Promise(resolve => {
+        open = resolve;
+    });
+    return { promise, open };
+}
+
+function send(key, body = { to: '5511999999999' }) {
+    return fetch(`${baseUrl}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify(body)
+    });
+}
+
+// Requisição que o cliente abandona antes da resposta
+function sendAndDisconnect(key, body = { to: '5511999999999' }) {
+    return new Promise(resolve => {
+        const payload = JSON.stringify(body);
+        const req = http.request(`${baseUrl}/send`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), 'Idempotency-Key': key }
+        });
+        req.on('error', () => {});
+        req.end(payload, () => setTimeout(() => {
+            req.destroy();
+            resolve();
+        }, 50));
+    });
+}
+
+test('repete a primeira resposta sem processar de novo', async () => {
+    calls = 0;
+    const first = await send('replay');
+    const second = await send('replay');
+
+    assert.equal(calls, 1);
+    assert.deepEqual(await second.json(), await first.json());
+    assert.equal(second.headers.get('idempotent-replayed'), 'true');
+});
+
+test('retorna 409 ao reusar a chave com outro corpo', async () => {
+    await send('conflict', { to: '1' });
+    const response = await send('conflict', { to: '2' });
+
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).error, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('repetição concorrente aguarda a original', async () => {
+    calls = 0;
+    gate = createGate();
+    const first = send('concurrent');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = send('concurrent');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    gate.open();
+    gate = null;
+
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(calls, 1);
+    assert.deepEqual(await b.json(), await a.json());
+    assert.equal(b.headers.get('idempotent-replayed'), 'true');
+});
+
+test('retry após o cliente desconectar não envia de novo', async () => {
+    calls = 0;
+    gate = createGate();
+    await sendAndDisconnect('disconnect');
+    const retry = send('disconnect');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    gate.open();
+    gate = null;
+
+    const response = await retry;
+    assert.equal(calls, 1);
+    assert.equal(response.headers.get('idempotent-replayed'), 'true');
+
+    // A resposta da original foi gravada mesmo com o socket fechado
+    const later = await send('disconnect');
+    assert.equal(calls, 1);
+    assert.equal((await later.json()).call, 1);
+});
+
+test('429 e 5xx não são gravados', async () => {
+    for (const status of [429, 503]) {
+        calls = 0;
+        nextStatus = status;
+        const first = await send(`transient-${status}`);
+        assert.equal(first.status, status);
+
+        nextStatus = 200;
+        const retry = await send(`transient-${status}`);
+        assert.equal(retry.status, 200);
+        assert.equal(retry.headers.get('idempotent-replayed'), null);
+        assert.equal(calls, 2);
+    }
+});
+
+test('retorna 400 para chave vazia ou longa demais', async () => {
+    assert.equal((await send(' ')).status, 400);
+    assert.equal((await send('x'.repeat(256))).status, 400);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'throttle-'));
+
+const { default: throttleService } = await import('../src/services/throttle.service.js');
+const { default: channelRegistry } = await import('../src/sessions/registry.js');
+const { default: messageStore } = await import('../src/services/message-store.service.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CUSTOMER = '5511999999999@s.whatsapp.net';
+const STRANGER = '5511888888888@s.whatsapp.net';
+
+// Política sem aquecimento e só com os limites informados
+function createChannel(channelId, throttle, pairedAt = null) {
+    channelRegistry.register(channelId, {
+        settings: {
+            throttle: {
+                ratePerMinute: 0, burst: 0, minDelayMs: 0, jitterMs: 0, hourlyLimit: 0, dailyLimit: 0,
+                newContactsHourlyLimit: 0, newContactsDailyLimit: 0, ...throttle
+            }
+        }
+    });
+    channelRegistry.update(channelId, { pairedAt });
+    return channelId;
+}
+
+function rateLimit(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.equal(error.message, 'RATE_LIMITED');
+        return error;
+    }
+    assert.fail('esperava RATE_LIMITED');
+}
+
+test('token bucket permite a rajada e depois limita pela taxa', () => {
+    const channelId = createChannel('bucket', { ratePerMinute: 60, burst: 3 });
+
+    for (let i = 0; i < 3; i++) {
+        throttleService.acquire(channelId, CUSTOMER);
+    }
+    const error = rateLimit(() => throttleService.acquire(channelId, CUSTOMER));
+
+    assert.equal(error.limit, 'rate');
+    assert.equal(error.retryAfter, 1);
+});
+
+test('release devolve o token e a cota de um envio que falhou', () => {
+    const channelId = createChannel('refund', { ratePerMinute: 1, burst: 1, hourlyLimit: 1 });
+
+    const reservation = throttleService.acquire(channelId, CUSTOMER);
+    rateLimit(() => throttleService.acquire(channelId, CUSTOMER));
+
+    throttleService.release(reservation);
+    throttleService.acquire(channelId, CUSTOMER);
+    assert.equal(throttleService.describe(channelId).usage.lastHour, 1);
+});
+
+test('cota por hora informa o limite atingido', () => {
+    const channelId = createChannel('hourly', { hourlyLimit: 2 });
+
+    throttleService.acquire(channelId, CUSTOMER);
+    throttleService.acquire(channelId, CUSTOMER);
+    const error = rateLimit(() => throttleService.acquire(channelId, CUSTOMER));
+
+    assert.equal(error.limit, 'hourly');
+    assert.ok(error.retryAfter > 3500 && error.retryAfter <= 3600);
+});
+
+test('cota de novos contatos só vale para quem nunca escreveu ao canal', () => {
+    const channelId = createChannel('contacts', { newContactsDailyLimit: 1 });
+    messageStore.upsert(channelId, { id: 'in-1', direction: 'inbound', jid: CUSTOMER, timestamp: new Date().toISOString() });
+
+    throttleService.acquire(channelId, STRANGER);
+    const error = rateLimit(() => throttleService.acquire(channelId, '5511777777777@s.whatsapp.net'));
+    assert.equal(error.limit, 'new_contacts_daily');
+
+    throttleService.acquire(channelId, CUSTOMER);
+    throttleService.acquire(channelId, '120363000000000000@g.us');
+});
+
+test('limites de novos contatos vêm desativados por padrão', () => {
+    channelRegistry.register('defaults', {});
+    const { policy } = throttleService.getPolicy('defaults');
+
+    assert.equal(policy.newContactsHourlyLimit, 0);
+    assert.equal(policy.newContactsDailyLimit, 0);
+});
+
+test('aquecimento só vale nos primeiros dias de um pareamento registrado', () => {
+    const legacy = createChannel('legacy', { dailyLimit: 1000 }, null);
+    assert.equal(throttleService.getPolicy(legacy).warmup, null);
+
+    const paired = createChannel('paired', { dailyLimit: 1000 }, new Date().toISOString());
+    const { policy, warmup } = throttleService.getPolicy(paired);
+    assert.ok(warmup);
+    assert.equal(policy.dailyLimit, 150);
+
+    const old = createChannel('old', { dailyLimit: 1000 }, new Date(Date.now() - 8 * DAY_MS).toISOString());
+    assert.equal(throttleService.getPolicy(old).warmup, null);
+    assert.equal(throttleService.getPolicy(old).policy.dailyLimit, 1000);
+});
+
+test('warmupDays 0 desativa o aquecimento', () => {
+    const channelId = createChannel('no-warmup', { warmupDays: 0 }, new Date().toISOString());
+    assert.equal(throttleService.getPolicy(channelId).warmup, null);
+});